@@ -0,0 +1,71 @@
+import { authenticate } from "../shopify.server";
+import {
+  saveCompanyLocationPreferences,
+  saveCustomerLocationPreferences,
+  saveDraftOrderLocationPreferences,
+} from "../utils/customerPreferences.server";
+import { getPreferenceAudit, PREFERENCE_CHANGE_SOURCES } from "../utils/preferenceAudit.server";
+
+// Saves customer and company location preferences for the admin extensions and other
+// admin callers, so every change goes through the audit log. Admin extensions send
+// a session token with requests to the app, which authenticate.admin checks.
+export const action = async ({ request }) => {
+  const context = await authenticate.admin(request);
+  const { admin, cors } = context;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return cors(Response.json({ success: false, error: "The request body must be JSON" }, { status: 400 }));
+  }
+
+  if (!body?.draftOrderId && !body?.customerId && !body?.companyLocationId) {
+    return cors(Response.json({ success: false, error: "A draftOrderId, customerId or companyLocationId is required" }, { status: 400 }));
+  }
+
+  // An empty list clears a company location's preference, so each contact's own applies
+  if (body.companyLocationId) {
+    try {
+      const result = await saveCompanyLocationPreferences(
+        admin,
+        body.companyLocationId,
+        body.locationIds,
+        getPreferenceAudit(context, PREFERENCE_CHANGE_SOURCES.COMPANY_LOCATION_BLOCK),
+      );
+      return cors(Response.json({ success: true, ...result }));
+    } catch (error) {
+      return cors(Response.json({ success: false, error: error.message }, { status: 422 }));
+    }
+  }
+
+  if (!Array.isArray(body.locationIds) || body.locationIds.length === 0) {
+    return cors(Response.json({ success: false, error: "At least one preferred location is required" }, { status: 400 }));
+  }
+
+  try {
+    const preferences = {
+      locationIds: body.locationIds,
+      methodLocationIds: body.methodLocationIds || {},
+    };
+
+    if (body.draftOrderId) {
+      const result = await saveDraftOrderLocationPreferences(
+        admin,
+        body.draftOrderId,
+        preferences,
+        getPreferenceAudit(context, PREFERENCE_CHANGE_SOURCES.DRAFT_ORDER_ACTION),
+      );
+      return cors(Response.json({ success: true, ...result }));
+    }
+
+    await saveCustomerLocationPreferences(
+      admin,
+      [{ customerId: body.customerId, ...preferences }],
+      getPreferenceAudit(context, PREFERENCE_CHANGE_SOURCES.API),
+    );
+    return cors(Response.json({ success: true, customerId: body.customerId, draftOrderId: null }));
+  } catch (error) {
+    return cors(Response.json({ success: false, error: error.message }, { status: 422 }));
+  }
+};
@@ -1,4 +1,4 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
@@ -7,18 +7,88 @@ import {
   Card,
   Button,
   BlockStack,
+  Badge,
+  Checkbox,
   Box,
   List,
   Link,
   InlineStack,
+  ProgressBar,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { ensureFulfillmentConstraintRule, unregisterFulfillmentConstraintRule } from "../utils/fulfillmentConstraints.server";
+import {
+  ensureFulfillmentConstraintRule,
+  getFulfillmentConstraintRule,
+  unregisterFulfillmentConstraintRule,
+  updateFulfillmentConstraintRuleDeliveryMethodTypes,
+} from "../utils/fulfillmentConstraints.server";
 import { ensureAppLocationListMetafield } from "../utils/appMetafields.server";
+import { migrateLocationPreferencesToAppNamespace } from "../utils/customerPreferences.server";
+import { getLocationCapacityStatus } from "../utils/locationCapacity.server";
+import { getLocationFlagStatus, retryLocationFlagging } from "../utils/locationFlags.server";
+import { getProvisioningStatus, runProvisioningStep } from "../utils/provisioning.server";
+
+// Labels for the delivery method types a rule can cover, in DELIVERY_METHOD_TYPES order
+const DELIVERY_METHOD_LABELS = {
+  SHIPPING: "Shipping",
+  LOCAL: "Local delivery",
+  PICK_UP: "Pickup",
+};
+
+// What each setup step run on install does, in PROVISIONING_STEPS order
+const PROVISIONING_STEP_TITLES = {
+  locationList: "Set up location list",
+  fulfillmentRule: "Register fulfillment rule",
+};
+
+const PROVISIONING_STATUS_BADGES = {
+  succeeded: { tone: "success", label: "Done" },
+  failed: { tone: "critical", label: "Failed" },
+  pending: { tone: undefined, label: "Not run yet" },
+};
+
+const LOCATION_FLAG_STATUS_BADGES = {
+  pending: { tone: undefined, label: "Queued" },
+  running: { tone: "info", label: "Running" },
+  completed: { tone: "success", label: "Flagged" },
+  failed: { tone: "critical", label: "Failed" },
+};
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
+
+  // Today's order count for each location with a daily cap
+  let capacityStatus = [];
+  try {
+    capacityStatus = await getLocationCapacityStatus(admin, session.shop);
+  } catch (error) {
+    console.error("Failed to load location capacity:", error);
+  }
+
+  // Setup steps run when the app was installed
+  let provisioningStatus = [];
+  try {
+    provisioningStatus = await getProvisioningStatus(session.shop);
+  } catch (error) {
+    console.error("Failed to load setup progress:", error);
+  }
+
+  // Customers and company locations flagged for removed locations
+  let locationFlags = [];
+  try {
+    locationFlags = await getLocationFlagStatus(session.shop);
+  } catch (error) {
+    console.error("Failed to load removed location flags:", error);
+  }
+
+  // The delivery methods the registered rule covers, if a rule is registered
+  let rule = null;
+  try {
+    rule = await getFulfillmentConstraintRule(admin);
+  } catch (error) {
+    console.error("Failed to load fulfillment constraint rule:", error);
+  }
 
   // Automatically ensure app metafield is set up on page load
   try {
@@ -29,7 +99,11 @@ export const loader = async ({ request }) => {
         isSetup: true,
         wasUpdated: metafieldResult.wasUpdated,
         locationCount: metafieldResult.locationNames.length
-      }
+      },
+      capacityStatus,
+      provisioningStatus,
+      locationFlags,
+      rule
     };
   } catch (error) {
     console.error("Failed to setup app metafield on load:", error);
@@ -38,16 +112,58 @@ export const loader = async ({ request }) => {
         success: false,
         isSetup: false,
         error: error.message
-      }
+      },
+      capacityStatus,
+      provisioningStatus,
+      locationFlags,
+      rule
     };
   }
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const formData = await request.formData();
   const action = formData.get("action");
 
+  if (action === "retryProvisioningStep") {
+    try {
+      const step = await runProvisioningStep(admin, session.shop, formData.get("step"));
+      return {
+        success: step.status === "succeeded",
+        message: step.status === "succeeded"
+          ? `${PROVISIONING_STEP_TITLES[step.step]}: done`
+          : `${PROVISIONING_STEP_TITLES[step.step]} failed again: ${step.error}`,
+        provisioningStep: step,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to retry setup step: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  if (action === "retryLocationFlagging") {
+    try {
+      const bulkOperation = await retryLocationFlagging(admin, session.shop);
+      return {
+        success: true,
+        message: bulkOperation
+          ? "Flagging started again"
+          : "Flagging is queued and starts when the running bulk operation finishes",
+        locationFlagging: true,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to retry flagging: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
   if (action === "registerFulfillmentRule") {
     try {
       const rule = await ensureFulfillmentConstraintRule(admin);
@@ -65,6 +181,24 @@ export const action = async ({ request }) => {
     }
   }
 
+  if (action === "updateDeliveryMethodTypes") {
+    try {
+      const deliveryMethodTypes = JSON.parse(formData.get("deliveryMethodTypes"));
+      const rule = await updateFulfillmentConstraintRuleDeliveryMethodTypes(admin, deliveryMethodTypes);
+      return {
+        success: true,
+        message: "Delivery methods updated",
+        deliveryMethodTypes: rule.deliveryMethodTypes,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to update delivery methods: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
   if (action === "setupAppMetafield") {
     try {
       const result = await ensureAppLocationListMetafield(admin);
@@ -101,6 +235,25 @@ export const action = async ({ request }) => {
     }
   }
 
+  if (action === "migrateCustomerPreferences") {
+    try {
+      const result = await migrateLocationPreferencesToAppNamespace(admin, {
+        connection: formData.get("connection") || undefined,
+        after: formData.get("after") || null,
+      });
+      return {
+        success: true,
+        migrationData: result,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to copy preferences: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
   // No other actions supported
   return {
     success: false,
@@ -110,6 +263,7 @@ export const action = async ({ request }) => {
 
 export default function Index() {
   const fetcher = useFetcher();
+  const migrationFetcher = useFetcher();
   const loaderData = useLoaderData();
   const shopify = useAppBridge();
   const isLoading =
@@ -124,6 +278,8 @@ export default function Index() {
             ? "Fulfillment rule successfully unregistered" 
             : "No fulfillment rule found to unregister"
         );
+      } else if (fetcher.data?.deliveryMethodTypes || fetcher.data?.provisioningStep || fetcher.data?.locationFlagging) {
+        shopify.toast.show(fetcher.data.message);
       } else {
         shopify.toast.show("Operation completed successfully");
       }
@@ -140,12 +296,184 @@ export default function Index() {
   const unregisterFulfillmentRule = () => fetcher.submit({ action: "unregisterFulfillmentRule" }, { method: "POST" });
   const setupAppMetafield = () => fetcher.submit({ action: "setupAppMetafield" }, { method: "POST" });
 
+  // Each migration run copies part of the preferences, so runs are added up and the
+  // next one starts where the last stopped until every owner has been read
+  const [migration, setMigration] = useState(null);
+  const isMigrating = migrationFetcher.state !== "idle" || Boolean(migration?.next);
+  const migrateCustomerPreferences = () => {
+    setMigration(null);
+    migrationFetcher.submit({ action: "migrateCustomerPreferences" }, { method: "POST" });
+  };
+  useEffect(() => {
+    const data = migrationFetcher.data;
+    if (!data) {
+      return;
+    }
+    if (!data.success) {
+      shopify.toast.show(data.message, { isError: true });
+      setMigration((current) => current && { ...current, next: null });
+      return;
+    }
+
+    const run = data.migrationData;
+    const totals = {
+      readCount: (migration?.readCount || 0) + run.readCount,
+      scannedCount: (migration?.scannedCount || 0) + run.scannedCount,
+      copiedCount: (migration?.copiedCount || 0) + run.copiedCount,
+      alreadyMigratedCount: (migration?.alreadyMigratedCount || 0) + run.alreadyMigratedCount,
+      unmatched: [...(migration?.unmatched || []), ...run.unmatched],
+      next: run.next,
+    };
+    setMigration(totals);
+
+    if (run.next) {
+      migrationFetcher.submit(
+        { action: "migrateCustomerPreferences", connection: run.next.connection, after: run.next.after || "" },
+        { method: "POST" },
+      );
+    } else {
+      shopify.toast.show(`Copied preferences for ${totals.copiedCount} customers and company locations to the app namespace`);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [migrationFetcher.data]);
+
+  const retryProvisioningStep = (step) => fetcher.submit({ action: "retryProvisioningStep", step }, { method: "POST" });
+  const provisioningStatus = loaderData?.provisioningStatus || [];
+  const incompleteStepCount = provisioningStatus.filter((step) => step.status !== "succeeded").length;
+
+  const retryLocationFlagging = () => fetcher.submit({ action: "retryLocationFlagging" }, { method: "POST" });
+  const locationFlags = loaderData?.locationFlags || [];
+  const hasFailedLocationFlags = locationFlags.some((flag) => flag.status === "failed");
+
+  // Delivery methods ticked on the page, reset whenever the registered rule reloads
+  const ruleDeliveryMethodTypes = loaderData?.rule?.deliveryMethodTypes;
+  const [deliveryMethodTypes, setDeliveryMethodTypes] = useState(ruleDeliveryMethodTypes || []);
+  useEffect(() => {
+    setDeliveryMethodTypes(ruleDeliveryMethodTypes || []);
+  }, [ruleDeliveryMethodTypes]);
+  const toggleDeliveryMethodType = (type) => (checked) =>
+    setDeliveryMethodTypes(
+      Object.keys(DELIVERY_METHOD_LABELS).filter((candidate) =>
+        candidate === type ? checked : deliveryMethodTypes.includes(candidate),
+      ),
+    );
+  const isDeliveryMethodTypesChanged =
+    ruleDeliveryMethodTypes !== undefined &&
+    Object.keys(DELIVERY_METHOD_LABELS).some(
+      (type) => deliveryMethodTypes.includes(type) !== ruleDeliveryMethodTypes.includes(type),
+    );
+  const saveDeliveryMethodTypes = () =>
+    fetcher.submit(
+      { action: "updateDeliveryMethodTypes", deliveryMethodTypes: JSON.stringify(deliveryMethodTypes) },
+      { method: "POST" },
+    );
+
   return (
     <Page>
       <TitleBar title="Location Selector App" />
       <BlockStack gap="500">
         <Layout>
           <Layout.Section>
+            {provisioningStatus.length > 0 && (
+              <Box paddingBlockEnd="500">
+                <Card>
+                  <BlockStack gap="400">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="h2" variant="headingMd">
+                        Setup Progress
+                      </Text>
+                      <Badge tone={incompleteStepCount > 0 ? "warning" : "success"}>
+                        {incompleteStepCount > 0 ? `${incompleteStepCount} to finish` : "Complete"}
+                      </Badge>
+                    </InlineStack>
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      These steps run automatically when the app is installed, reinstalled or granted new access.
+                    </Text>
+                    {provisioningStatus.map((step) => (
+                      <InlineStack key={step.step} align="space-between" blockAlign="center" gap="300">
+                        <BlockStack gap="100">
+                          <InlineStack gap="200" blockAlign="center">
+                            <Text as="h3" variant="headingSm">
+                              {PROVISIONING_STEP_TITLES[step.step]}
+                            </Text>
+                            <Badge tone={PROVISIONING_STATUS_BADGES[step.status].tone}>
+                              {PROVISIONING_STATUS_BADGES[step.status].label}
+                            </Badge>
+                          </InlineStack>
+                          {step.error && (
+                            <Text as="p" variant="bodyMd" tone="critical">
+                              {step.error}
+                            </Text>
+                          )}
+                          {step.updatedAt && (
+                            <Text as="p" variant="bodySm" tone="subdued">
+                              Last run {new Date(step.updatedAt).toLocaleString()}
+                              {step.attempts > 1 ? `, ${step.attempts} attempts` : ""}
+                            </Text>
+                          )}
+                        </BlockStack>
+                        {step.status !== "succeeded" && (
+                          <Button loading={isLoading} onClick={() => retryProvisioningStep(step.step)}>
+                            {step.status === "failed" ? "Retry" : "Run now"}
+                          </Button>
+                        )}
+                      </InlineStack>
+                    ))}
+                  </BlockStack>
+                </Card>
+              </Box>
+            )}
+            {locationFlags.length > 0 && (
+              <Box paddingBlockEnd="500">
+                <Card>
+                  <BlockStack gap="400">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="h2" variant="headingMd">
+                        Removed Locations
+                      </Text>
+                      {hasFailedLocationFlags && (
+                        <Button loading={isLoading} onClick={retryLocationFlagging}>
+                          Retry
+                        </Button>
+                      )}
+                    </InlineStack>
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      When a location is deactivated or deleted, customers who prefer it are tagged "fulfillment-location-unavailable".
+                      Company locations can't be tagged, so they are listed here.
+                    </Text>
+                    {locationFlags.map((flag) => (
+                      <BlockStack key={flag.id} gap="100">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="h3" variant="headingSm">
+                            Location {flag.locationId.split("/").pop()}
+                          </Text>
+                          <Badge tone={LOCATION_FLAG_STATUS_BADGES[flag.status].tone}>
+                            {LOCATION_FLAG_STATUS_BADGES[flag.status].label}
+                          </Badge>
+                        </InlineStack>
+                        {flag.status === "completed" && (
+                          <Text as="p" variant="bodyMd">
+                            {flag.flaggedCount} {flag.flaggedCount === 1 ? "customer" : "customers"} tagged
+                            {flag.companyLocations.length > 0
+                              ? `; company locations: ${flag.companyLocations.map((companyLocation) => companyLocation.name).join(", ")}`
+                              : ""}
+                          </Text>
+                        )}
+                        {flag.error && flag.status !== "completed" && (
+                          <Text as="p" variant="bodyMd" tone="critical">
+                            {flag.error}
+                          </Text>
+                        )}
+                        <Text as="p" variant="bodySm" tone="subdued">
+                          Last updated {new Date(flag.updatedAt).toLocaleString()}
+                          {flag.attempts > 1 ? `, ${flag.attempts} attempts` : ""}
+                        </Text>
+                      </BlockStack>
+                    ))}
+                  </BlockStack>
+                </Card>
+              </Box>
+            )}
             <Card>
               <BlockStack gap="500">
                 <BlockStack gap="200">
@@ -163,8 +491,8 @@ export default function Index() {
                     Location Selector Function
                   </Text>
                   <Text as="p" variant="bodyMd">
-                    Set up the location selector function in two steps: First, click "Setup Location List" to configure available locations from your store. 
-                    Then, click "Register Fulfillment Rule" to enable the constraint function that routes orders based on customer preferences.
+                    Both setup steps run automatically when the app is installed. To run them again by hand, click "Setup Location List" to configure available locations from your store,
+                    then click "Register Fulfillment Rule" to enable the constraint function that routes orders based on customer preferences.
                   </Text>
                   {loaderData?.appMetafieldStatus && (
                     <Box
@@ -193,6 +521,9 @@ export default function Index() {
                   <Button loading={isLoading} onClick={setupAppMetafield} variant="secondary">
                     Setup Location List
                   </Button>
+                  <Button loading={isMigrating} disabled={isLoading} onClick={migrateCustomerPreferences} variant="secondary">
+                    Copy Preferences to App Namespace
+                  </Button>
                 </InlineStack>
                 {fetcher.data?.rule && (
                   <>
@@ -260,6 +591,54 @@ export default function Index() {
                     </Box>
                   </>
                 )}
+                {migration && (
+                  <>
+                    <Text as="h3" variant="headingMd">
+                      Preference Migration
+                    </Text>
+                    <Box
+                      padding="400"
+                      background={migration.unmatched.length === 0 ? "bg-surface-success" : "bg-surface-warning"}
+                      borderWidth="025"
+                      borderRadius="200"
+                      borderColor={migration.unmatched.length === 0 ? "border-success" : "border-caution"}
+                    >
+                      <BlockStack gap="200">
+                        {migration.next && (
+                          <Text as="p" variant="bodyMd" tone="subdued">
+                            Still copying. Keep this page open until it finishes.
+                          </Text>
+                        )}
+                        <Text as="p" variant="bodyMd">
+                          <strong>Customers and company locations read:</strong> {migration.readCount}
+                        </Text>
+                        <Text as="p" variant="bodyMd">
+                          <strong>Customers and company locations with a custom namespace preference:</strong> {migration.scannedCount}
+                        </Text>
+                        <Text as="p" variant="bodyMd">
+                          <strong>Copied to the app namespace:</strong> {migration.copiedCount}
+                        </Text>
+                        <Text as="p" variant="bodyMd">
+                          <strong>Already in the app namespace:</strong> {migration.alreadyMigratedCount}
+                        </Text>
+                        {migration.unmatched.length > 0 && (
+                          <>
+                            <Text as="p" variant="bodyMd">
+                              <strong>Not a listed location (not copied):</strong>
+                            </Text>
+                            <List>
+                              {migration.unmatched.map((owner) => (
+                                <List.Item key={owner.id}>
+                                  {owner.displayName}: {owner.value}
+                                </List.Item>
+                              ))}
+                            </List>
+                          </>
+                        )}
+                      </BlockStack>
+                    </Box>
+                  </>
+                )}
                 {fetcher.data?.metafieldData && (
                   <>
                     <Text as="h3" variant="headingMd">
@@ -309,6 +688,87 @@ export default function Index() {
 
               </BlockStack>
             </Card>
+            <Box paddingBlockStart="500">
+              <Card>
+                <BlockStack gap="400">
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">
+                      Constrained Delivery Methods
+                    </Text>
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      Preferred locations are applied at checkout only for the delivery methods ticked here.
+                      Other delivery methods are left to the customer&apos;s checkout choice.
+                    </Text>
+                  </BlockStack>
+                  {loaderData?.rule ? (
+                    <>
+                      <BlockStack gap="100">
+                        {Object.entries(DELIVERY_METHOD_LABELS).map(([type, label]) => (
+                          <Checkbox
+                            key={type}
+                            label={label}
+                            checked={deliveryMethodTypes.includes(type)}
+                            onChange={toggleDeliveryMethodType(type)}
+                          />
+                        ))}
+                      </BlockStack>
+                      {deliveryMethodTypes.length === 0 && (
+                        <Text as="p" variant="bodyMd" tone="critical">
+                          Choose at least one delivery method, or unregister the rule instead.
+                        </Text>
+                      )}
+                      <InlineStack>
+                        <Button
+                          variant="primary"
+                          loading={isLoading}
+                          disabled={!isDeliveryMethodTypesChanged || deliveryMethodTypes.length === 0}
+                          onClick={saveDeliveryMethodTypes}
+                        >
+                          Save Delivery Methods
+                        </Button>
+                      </InlineStack>
+                    </>
+                  ) : (
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      Register the fulfillment rule to choose its delivery methods.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </Box>
+            {loaderData?.capacityStatus?.length > 0 && (
+              <Box paddingBlockStart="500">
+                <Card>
+                  <BlockStack gap="400">
+                    <Text as="h2" variant="headingMd">
+                      Today&apos;s Location Load
+                    </Text>
+                    {loaderData.capacityStatus.map((location) => (
+                      <BlockStack gap="100" key={location.locationId}>
+                        <InlineStack align="space-between">
+                          <Text as="span" variant="bodyMd">
+                            {location.locationName}
+                          </Text>
+                          <Text as="span" variant="bodyMd" tone={location.isOverCapacity ? "critical" : "subdued"}>
+                            {location.orderCount} / {location.dailyOrderCap} orders
+                          </Text>
+                        </InlineStack>
+                        <ProgressBar
+                          progress={Math.min(100, (location.orderCount / location.dailyOrderCap) * 100)}
+                          tone={location.isOverCapacity ? "critical" : "primary"}
+                          size="small"
+                        />
+                        {location.isOverCapacity && (
+                          <Text as="p" variant="bodySm" tone="critical">
+                            Over capacity: new orders go to {location.fallbackLocationName}
+                          </Text>
+                        )}
+                      </BlockStack>
+                    ))}
+                  </BlockStack>
+                </Card>
+              </Box>
+            )}
           </Layout.Section>
           <Layout.Section variant="oneThird">
             <BlockStack gap="500">
@@ -334,6 +794,14 @@ export default function Index() {
                         Draft Order Action
                       </Text>
                     </InlineStack>
+                    <InlineStack align="space-between">
+                      <Text as="span" variant="bodyMd">
+                        B2B Extension
+                      </Text>
+                      <Text as="span" variant="bodyMd" color="subdued">
+                        Company Location Block
+                      </Text>
+                    </InlineStack>
                     <InlineStack align="space-between">
                       <Text as="span" variant="bodyMd">
                         Location Storage
@@ -360,14 +828,37 @@ export default function Index() {
                   </Text>
                   <List>
                     <List.Item>
-                      Set up location list using "Setup Location List" button
+                      The location list and fulfillment constraint rule are set up on install; retry any failed step under Setup Progress
+                    </List.Item>
+                    <List.Item>
+                      Optionally choose, label and order the selectable locations on the Locations page
+                    </List.Item>
+                    <List.Item>
+                      The location list then updates itself when locations are added, changed or removed, and
+                      customers preferring a removed location are tagged "fulfillment-location-unavailable"
                     </List.Item>
                     <List.Item>
-                      Register the fulfillment constraint rule
+                      Choose which delivery methods the fulfillment constraint rule applies to
+                    </List.Item>
+                    <List.Item>
+                      Check the whole setup, and fix anything missing, on the Diagnostics page
+                    </List.Item>
+                    <List.Item>
+                      Optionally set a default location on the Settings page
                     </List.Item>
                     <List.Item>
                       Use the "Select / Update Fulfillment Location" action on draft orders
                     </List.Item>
+                    <List.Item>
+                      For B2B, set the locations in the "Fulfillment Locations" block on each company location
+                    </List.Item>
+                    <List.Item>
+                      Review, change or clear customer preferences in bulk on the Customers page, or
+                      import and export them as CSV
+                    </List.Item>
+                    <List.Item>
+                      See who changed a customer&apos;s preference, and when, on the Change Log page
+                    </List.Item>
                     <List.Item>
                       Customer preferences will be applied during checkout
                     </List.Item>
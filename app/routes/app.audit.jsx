@@ -0,0 +1,233 @@
+import { useState } from "react";
+import { useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import {
+  BlockStack,
+  Button,
+  Card,
+  IndexTable,
+  InlineStack,
+  Layout,
+  Page,
+  Pagination,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStoreLocations } from "../utils/appMetafields.server";
+import { parseDeliveryMethodPreferences } from "../utils/customerPreferences.server";
+import { parseLocationPreference } from "../utils/locationList";
+import { DELIVERY_METHOD_PREFERENCES_KEY } from "../utils/metafieldDefinitions.server";
+import { getPreferenceChanges } from "../utils/preferenceAudit.server";
+
+// Labels for the sources in PREFERENCE_CHANGE_SOURCES
+const SOURCE_LABELS = {
+  DRAFT_ORDER_ACTION: "Draft order action",
+  COMPANY_LOCATION_BLOCK: "Company location block",
+  CUSTOMERS_PAGE: "Customers page",
+  CSV_IMPORT: "CSV import",
+  LOCATION_REMAP: "Location remap",
+  API: "API",
+};
+
+// Labels for the preference metafield keys
+const KEY_LABELS = {
+  fulfillment_location: "All delivery methods",
+  fulfillment_location_methods: "By delivery method",
+};
+
+// Labels for the delivery methods in a `fulfillment_location_methods` value
+const DELIVERY_METHOD_LABELS = {
+  SHIPPING: "Shipping",
+  LOCAL: "Local delivery",
+  PICK_UP: "Pickup",
+};
+
+const FILTER_NAMES = ["customer", "source", "staffUserId", "from", "to"];
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const filters = Object.fromEntries(FILTER_NAMES.map((name) => [name, url.searchParams.get(name) || ""]));
+  const page = Math.max(1, Number(url.searchParams.get("page")) || 1);
+
+  const [{ changes, hasNextPage, staffUserIds }, storeLocations] = await Promise.all([
+    getPreferenceChanges(session.shop, { ...filters, page }),
+    getStoreLocations(admin),
+  ]);
+  const locationNames = new Map(storeLocations.map((location) => [location.id, location.name]));
+  const describeLocations = (locationIds) =>
+    locationIds.map((entry) => locationNames.get(entry) || entry).join(", ");
+  const describeValue = (key, value) => {
+    if (!value) {
+      return "None";
+    }
+    if (key === DELIVERY_METHOD_PREFERENCES_KEY) {
+      return Object.entries(parseDeliveryMethodPreferences(value))
+        .map(([method, locationIds]) => `${DELIVERY_METHOD_LABELS[method]}: ${describeLocations(locationIds)}`)
+        .join("; ");
+    }
+    return describeLocations(parseLocationPreference(value));
+  };
+
+  return {
+    filters,
+    page,
+    hasNextPage,
+    staffUserIds,
+    changes: changes.map((change) => ({
+      id: change.id,
+      customerId: change.customerId,
+      customerName: change.customerName,
+      key: change.key,
+      oldValue: describeValue(change.key, change.oldValue),
+      newValue: describeValue(change.key, change.newValue),
+      source: change.source,
+      staffUserId: change.staffUserId,
+      createdAt: change.createdAt.toISOString(),
+    })),
+  };
+};
+
+export default function AuditPage() {
+  const loaderData = useLoaderData();
+  const navigation = useNavigation();
+  const [, setSearchParams] = useSearchParams();
+  const [filters, setFilters] = useState(loaderData.filters);
+
+  const search = (changes, page = 1) => {
+    const next = { ...filters, ...changes };
+    setFilters(next);
+    setSearchParams(
+      Object.fromEntries(
+        Object.entries({ ...next, page: page > 1 ? String(page) : "" }).filter(([, value]) => value),
+      ),
+    );
+  };
+  const updateFilter = (name) => (value) => setFilters({ ...filters, [name]: value });
+
+  return (
+    <Page>
+      <TitleBar title="Change Log" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Preference Changes
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Every change to a customer&apos;s preferred locations made through this app, newest first.
+                  </Text>
+                </BlockStack>
+                <InlineStack gap="300" blockAlign="end">
+                  <TextField
+                    label="Customer"
+                    placeholder="Name or ID"
+                    value={filters.customer}
+                    onChange={updateFilter("customer")}
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Source"
+                    options={[
+                      { label: "Any source", value: "" },
+                      ...Object.entries(SOURCE_LABELS).map(([value, label]) => ({ label, value })),
+                    ]}
+                    value={filters.source}
+                    onChange={(source) => search({ source })}
+                  />
+                  <Select
+                    label="Staff member"
+                    options={[
+                      { label: "Anyone", value: "" },
+                      ...loaderData.staffUserIds.map((staffUserId) => ({
+                        label: `Staff member ${staffUserId}`,
+                        value: staffUserId,
+                      })),
+                    ]}
+                    value={filters.staffUserId}
+                    onChange={(staffUserId) => search({ staffUserId })}
+                  />
+                  <TextField
+                    label="From"
+                    type="date"
+                    value={filters.from}
+                    onChange={updateFilter("from")}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="To"
+                    type="date"
+                    value={filters.to}
+                    onChange={updateFilter("to")}
+                    autoComplete="off"
+                  />
+                  <Button onClick={() => search({})}>Filter</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            <Card padding="0">
+              <IndexTable
+                resourceName={{ singular: "change", plural: "changes" }}
+                itemCount={loaderData.changes.length}
+                selectable={false}
+                loading={navigation.state === "loading"}
+                headings={[
+                  { title: "Date" },
+                  { title: "Customer" },
+                  { title: "Preference" },
+                  { title: "Old value" },
+                  { title: "New value" },
+                  { title: "Source" },
+                  { title: "Staff member" },
+                ]}
+                emptyState={
+                  <BlockStack gap="200" inlineAlign="center">
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      No preference changes match these filters.
+                    </Text>
+                  </BlockStack>
+                }
+              >
+                {loaderData.changes.map((change, index) => (
+                  <IndexTable.Row id={String(change.id)} key={change.id} position={index}>
+                    <IndexTable.Cell>{new Date(change.createdAt).toLocaleString()}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <BlockStack gap="050">
+                        <Text as="span" variant="bodyMd" fontWeight="semibold">
+                          {change.customerName || change.customerId}
+                        </Text>
+                        {change.customerName && (
+                          <Text as="span" variant="bodySm" tone="subdued">
+                            {change.customerId.split("/").pop()}
+                          </Text>
+                        )}
+                      </BlockStack>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{KEY_LABELS[change.key] || change.key}</IndexTable.Cell>
+                    <IndexTable.Cell>{change.oldValue}</IndexTable.Cell>
+                    <IndexTable.Cell>{change.newValue}</IndexTable.Cell>
+                    <IndexTable.Cell>{SOURCE_LABELS[change.source] || change.source}</IndexTable.Cell>
+                    <IndexTable.Cell>{change.staffUserId || "—"}</IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            </Card>
+            <InlineStack align="center">
+              <Pagination
+                hasPrevious={loaderData.page > 1}
+                onPrevious={() => search({}, loaderData.page - 1)}
+                hasNext={loaderData.hasNextPage}
+                onNext={() => search({}, loaderData.page + 1)}
+              />
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,349 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Card,
+  IndexTable,
+  InlineStack,
+  Layout,
+  Page,
+  Pagination,
+  Select,
+  Text,
+  TextField,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { ensureAppLocationListMetafield } from "../utils/appMetafields.server";
+import {
+  saveCustomerLocationPreferences,
+  searchCustomerLocationPreferences,
+} from "../utils/customerPreferences.server";
+import { getLocationListLabel, parseLocationList } from "../utils/locationList";
+import { getPreferenceAudit, PREFERENCE_CHANGE_SOURCES } from "../utils/preferenceAudit.server";
+
+// How many customers are listed per page
+const PAGE_SIZE = 50;
+
+// How long to wait after the last keystroke before searching
+const SEARCH_DELAY = 400;
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const search = url.searchParams.get("search") || "";
+  const locationId = url.searchParams.get("locationId") || "";
+  const after = url.searchParams.get("after") || null;
+
+  try {
+    const [{ metafield, storeLocations }, page] = await Promise.all([
+      ensureAppLocationListMetafield(admin),
+      searchCustomerLocationPreferences(admin, { search, locationId, after, pageSize: PAGE_SIZE }),
+    ]);
+
+    return {
+      search,
+      locationId,
+      after,
+      selectableLocations: parseLocationList(metafield?.value).locations.map((location) => ({
+        id: location.id,
+        label: getLocationListLabel(location),
+      })),
+      storeLocations: storeLocations.map((location) => ({ id: location.id, name: location.name })),
+      ...page,
+    };
+  } catch (error) {
+    console.error("Failed to load customer preferences:", error);
+    return {
+      search,
+      locationId,
+      after,
+      selectableLocations: [],
+      storeLocations: [],
+      customers: [],
+      endCursor: null,
+      hasNextPage: false,
+      isPartial: false,
+      error: error.message,
+    };
+  }
+};
+
+export const action = async ({ request }) => {
+  const context = await authenticate.admin(request);
+  const { admin } = context;
+  const formData = await request.formData();
+  const action = formData.get("action");
+
+  if (action === "updatePreferences") {
+    try {
+      const customerIds = JSON.parse(formData.get("customerIds"));
+      const locationId = formData.get("locationId") || "";
+
+      await saveCustomerLocationPreferences(
+        admin,
+        // Clearing also clears the delivery method lists, which would otherwise still apply
+        customerIds.map((customerId) =>
+          locationId ? { customerId, locationIds: [locationId] } : { customerId, locationIds: [], methodLocationIds: {} },
+        ),
+        getPreferenceAudit(context, PREFERENCE_CHANGE_SOURCES.CUSTOMERS_PAGE),
+      );
+      return {
+        success: true,
+        message: locationId
+          ? `Updated ${customerIds.length} customers`
+          : `Cleared the preferences of ${customerIds.length} customers`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to update preferences: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  return {
+    success: false,
+    message: "Unknown action",
+  };
+};
+
+export default function CustomersPage() {
+  const fetcher = useFetcher();
+  const loaderData = useLoaderData();
+  const navigation = useNavigation();
+  const shopify = useAppBridge();
+  const [, setSearchParams] = useSearchParams();
+  const [search, setSearch] = useState(loaderData.search);
+  const [targetLocationId, setTargetLocationId] = useState("");
+  // Cursors of the pages before this one, so Previous can step back
+  const [previousCursors, setPreviousCursors] = useState([]);
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(loaderData.customers);
+  const isSaving =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formMethod === "POST";
+  const isLoading = navigation.state === "loading";
+
+  useEffect(() => {
+    if (fetcher.data?.success === true) {
+      shopify.toast.show(fetcher.data.message);
+      clearSelection();
+    }
+    if (fetcher.data?.success === false) {
+      shopify.toast.show(fetcher.data.message, { isError: true });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fetcher.data, shopify]);
+
+  // Selections only cover the customers on the current page
+  useEffect(() => {
+    clearSelection();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loaderData.customers]);
+
+  const locationNames = new Map([
+    ...loaderData.storeLocations.map((location) => [location.id, location.name]),
+    ...loaderData.selectableLocations.map((location) => [location.id, location.label]),
+  ]);
+
+  const applyFilters = (filters) => {
+    setPreviousCursors([]);
+    setSearchParams(
+      Object.fromEntries(
+        Object.entries({ search: loaderData.search, locationId: loaderData.locationId, ...filters })
+          .filter(([, value]) => value),
+      ),
+    );
+  };
+  const goToPage = (after) =>
+    setSearchParams(
+      Object.fromEntries(
+        Object.entries({ search: loaderData.search, locationId: loaderData.locationId, after })
+          .filter(([, value]) => value),
+      ),
+    );
+  const nextPage = () => {
+    setPreviousCursors([...previousCursors, loaderData.after]);
+    goToPage(loaderData.endCursor);
+  };
+  // After a reload the earlier cursors are gone, so Previous returns to the first page
+  const previousPage = () => {
+    setPreviousCursors(previousCursors.slice(0, -1));
+    goToPage(previousCursors[previousCursors.length - 1] || null);
+  };
+
+  // Search once typing pauses
+  useEffect(() => {
+    if (search === loaderData.search) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => applyFilters({ search }), SEARCH_DELAY);
+    return () => clearTimeout(timeout);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [search]);
+
+  const updatePreferences = (locationId) => {
+    fetcher.submit(
+      { action: "updatePreferences", customerIds: JSON.stringify(selectedResources), locationId },
+      { method: "POST" },
+    );
+  };
+
+  const targetLabel = locationNames.get(targetLocationId);
+
+  return (
+    <Page>
+      <TitleBar title="Customer Preferences" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {loaderData.error && (
+              <Banner tone="critical" title="Customer preferences could not be loaded">
+                <p>{loaderData.error}</p>
+              </Banner>
+            )}
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Customers with a Preferred Location
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Select customers to point them at another location or clear their preferences, including any by delivery method.
+                  </Text>
+                </BlockStack>
+                <InlineStack gap="300" blockAlign="end" wrap={false}>
+                  <div style={{ flexGrow: 1 }}>
+                    <TextField
+                      label="Search"
+                      placeholder="Name or email"
+                      value={search}
+                      onChange={setSearch}
+                      clearButton
+                      onClearButtonClick={() => {
+                        setSearch("");
+                        applyFilters({ search: "" });
+                      }}
+                      autoComplete="off"
+                    />
+                  </div>
+                  <Select
+                    label="Preferred location"
+                    options={[
+                      { label: "Any location", value: "" },
+                      ...loaderData.storeLocations.map((location) => ({
+                        label: locationNames.get(location.id),
+                        value: location.id,
+                      })),
+                    ]}
+                    value={loaderData.locationId}
+                    onChange={(locationId) => applyFilters({ search, locationId })}
+                  />
+                </InlineStack>
+                <InlineStack gap="300" blockAlign="end">
+                  <Select
+                    label="New preferred location"
+                    options={[
+                      { label: "Select a location", value: "" },
+                      ...loaderData.selectableLocations.map((location) => ({
+                        label: location.label,
+                        value: location.id,
+                      })),
+                    ]}
+                    value={targetLocationId}
+                    onChange={setTargetLocationId}
+                    helpText="Used by the Set preferred location action on selected customers."
+                  />
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            {loaderData.isPartial && (
+              <Banner tone="info" title="Not every customer has been searched yet">
+                <p>Large stores are searched a few hundred customers at a time. Use Next to keep searching.</p>
+              </Banner>
+            )}
+            <Card padding="0">
+              <IndexTable
+                resourceName={{ singular: "customer", plural: "customers" }}
+                itemCount={loaderData.customers.length}
+                selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                onSelectionChange={handleSelectionChange}
+                loading={isLoading || isSaving}
+                headings={[
+                  { title: "Customer" },
+                  { title: "Email" },
+                  { title: "Preferred locations" },
+                ]}
+                promotedBulkActions={[
+                  {
+                    content: targetLabel ? `Set preferred location to ${targetLabel}` : "Set preferred location",
+                    disabled: !targetLocationId || isSaving,
+                    onAction: () => updatePreferences(targetLocationId),
+                  },
+                  {
+                    content: "Clear preferences",
+                    destructive: true,
+                    disabled: isSaving,
+                    onAction: () => updatePreferences(""),
+                  },
+                ]}
+                emptyState={
+                  <BlockStack gap="200" inlineAlign="center">
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      {loaderData.isPartial
+                        ? "No matching customers found yet."
+                        : loaderData.search || loaderData.locationId
+                          ? "No customers with a preferred location match these filters."
+                          : "No customers have a preferred location yet."}
+                    </Text>
+                  </BlockStack>
+                }
+              >
+                {loaderData.customers.map((customer, index) => (
+                  <IndexTable.Row
+                    id={customer.id}
+                    key={customer.id}
+                    position={index}
+                    selected={selectedResources.includes(customer.id)}
+                  >
+                    <IndexTable.Cell>
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="span" variant="bodyMd" fontWeight="semibold">
+                          {customer.displayName}
+                        </Text>
+                        {customer.isFlagged && <Badge tone="warning">Location unavailable</Badge>}
+                      </InlineStack>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{customer.email || "—"}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <InlineStack gap="100">
+                        {customer.locationIds.map((locationId) => (
+                          <Badge key={locationId} tone={locationNames.has(locationId) ? undefined : "critical"}>
+                            {locationNames.get(locationId) || `Unknown (${locationId})`}
+                          </Badge>
+                        ))}
+                      </InlineStack>
+                    </IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            </Card>
+            <InlineStack align="center">
+              <Pagination
+                hasPrevious={Boolean(loaderData.after)}
+                onPrevious={previousPage}
+                hasNext={loaderData.hasNextPage}
+                onNext={nextPage}
+              />
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
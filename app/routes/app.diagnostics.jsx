@@ -0,0 +1,203 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useNavigate, useRevalidator } from "@remix-run/react";
+import {
+  Badge,
+  BlockStack,
+  Box,
+  Button,
+  Card,
+  InlineStack,
+  Layout,
+  List,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { ensureAppLocationListMetafield } from "../utils/appMetafields.server";
+import { REQUIRED_SCOPES, runSetupDiagnostics } from "../utils/diagnostics.server";
+import { ensureFulfillmentConstraintRule } from "../utils/fulfillmentConstraints.server";
+
+// What each check looks at, in the order they are listed
+const CHECK_TITLES = {
+  function: "Function deployed",
+  rule: "Fulfillment constraint rule",
+  locationList: "Location list metafield",
+  scopes: "Access scopes",
+  customerPreferences: "Customer preferences",
+};
+
+const STATUS_BADGES = {
+  pass: { tone: "success", label: "Passed" },
+  warning: { tone: "warning", label: "Needs attention" },
+  fail: { tone: "critical", label: "Failed" },
+};
+
+export const loader = async ({ request }) => {
+  const { admin, scopes } = await authenticate.admin(request);
+
+  const checks = await runSetupDiagnostics(admin, scopes);
+  return { checks };
+};
+
+export const action = async ({ request }) => {
+  const { admin, scopes } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("action");
+
+  if (action === "registerRule") {
+    try {
+      await ensureFulfillmentConstraintRule(admin);
+      return {
+        success: true,
+        message: "Fulfillment constraint rule registered",
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to register fulfillment constraint rule: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  if (action === "syncLocationList") {
+    try {
+      await ensureAppLocationListMetafield(admin);
+      return {
+        success: true,
+        message: "Location list updated",
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to update location list: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  if (action === "requestScopes") {
+    // Sends the merchant to the grant screen
+    const { granted } = await scopes.query();
+    await scopes.request(REQUIRED_SCOPES.filter((scope) => !granted.includes(scope)));
+    return null;
+  }
+
+  return {
+    success: false,
+    message: "Unknown action",
+  };
+};
+
+export default function DiagnosticsPage() {
+  const fetcher = useFetcher();
+  const { checks } = useLoaderData();
+  const shopify = useAppBridge();
+  const navigate = useNavigate();
+  const revalidator = useRevalidator();
+  const isFixing =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formMethod === "POST";
+
+  useEffect(() => {
+    if (fetcher.data?.success === true) {
+      shopify.toast.show(fetcher.data.message);
+    }
+    if (fetcher.data?.success === false) {
+      shopify.toast.show(fetcher.data.message, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const fixes = {
+    registerRule: { label: "Register rule", onAction: () => fetcher.submit({ action: "registerRule" }, { method: "POST" }) },
+    syncLocationList: { label: "Update location list", onAction: () => fetcher.submit({ action: "syncLocationList" }, { method: "POST" }) },
+    requestScopes: { label: "Grant access", onAction: () => fetcher.submit({ action: "requestScopes" }, { method: "POST" }) },
+    remapPreferences: { label: "Remap preferences", onAction: () => navigate("/app/remap") },
+  };
+  // Checks without a fix in the app, such as deploying the function, can be run again
+  const recheck = { label: "Check again", onAction: () => revalidator.revalidate() };
+
+  const failingCount = checks.filter((check) => check.status !== "pass").length;
+
+  return (
+    <Page>
+      <TitleBar title="Diagnostics" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text as="h2" variant="headingMd">
+                  Setup Checks
+                </Text>
+                <Badge tone={failingCount > 0 ? "warning" : "success"}>
+                  {failingCount > 0 ? `${failingCount} to fix` : "All passed"}
+                </Badge>
+              </InlineStack>
+              {checks.map((check) => {
+                const fix = check.status === "pass" ? null : fixes[check.fix] || recheck;
+                return (
+                  <Box
+                    key={check.id}
+                    padding="300"
+                    borderWidth="025"
+                    borderRadius="200"
+                    borderColor="border"
+                  >
+                    <InlineStack align="space-between" blockAlign="center" gap="300">
+                      <BlockStack gap="100">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="h3" variant="headingSm">
+                            {CHECK_TITLES[check.id]}
+                          </Text>
+                          <Badge tone={STATUS_BADGES[check.status].tone}>
+                            {STATUS_BADGES[check.status].label}
+                          </Badge>
+                        </InlineStack>
+                        <Text as="p" variant="bodyMd" tone="subdued">
+                          {check.detail}
+                        </Text>
+                      </BlockStack>
+                      {fix && (
+                        <Button
+                          loading={fix === recheck ? revalidator.state === "loading" : isFixing}
+                          onClick={fix.onAction}
+                        >
+                          {fix.label}
+                        </Button>
+                      )}
+                    </InlineStack>
+                  </Box>
+                );
+              })}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Fixing a check
+              </Text>
+              <List>
+                <List.Item>
+                  Checks run every time this page loads, and again after each fix
+                </List.Item>
+                <List.Item>
+                  The function is deployed with the app, by running shopify app deploy
+                </List.Item>
+                <List.Item>
+                  Delivery methods the rule does not cover are not constrained at checkout; choose them on the home page
+                </List.Item>
+                <List.Item>
+                  Preferences for inactive locations are fixed on the Remap page
+                </List.Item>
+              </List>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
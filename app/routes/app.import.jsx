@@ -0,0 +1,348 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DropZone,
+  IndexTable,
+  InlineStack,
+  Layout,
+  List,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStoreLocations } from "../utils/appMetafields.server";
+import {
+  applyCustomerLocationImport,
+  exportCustomerLocationPreferences,
+  previewCustomerLocationImport,
+} from "../utils/customerImport.server";
+import { getPreferenceAudit, PREFERENCE_CHANGE_SOURCES } from "../utils/preferenceAudit.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  const storeLocations = await getStoreLocations(admin);
+  return {
+    storeLocations: storeLocations.map((location) => ({ id: location.id, name: location.name })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const context = await authenticate.admin(request);
+  const { admin } = context;
+  const formData = await request.formData();
+  const action = formData.get("action");
+
+  if (action === "previewImport") {
+    try {
+      const preview = await previewCustomerLocationImport(admin, formData.get("csv"));
+      return { success: true, preview };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to read file: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  if (action === "applyImport") {
+    try {
+      const updates = JSON.parse(formData.get("updates"));
+      const result = await applyCustomerLocationImport(
+        admin,
+        updates,
+        getPreferenceAudit(context, PREFERENCE_CHANGE_SOURCES.CSV_IMPORT),
+      );
+      return {
+        success: true,
+        applied: true,
+        message: `Updated ${result.updatedCount} and cleared ${result.clearedCount} customers`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to import assignments: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  if (action === "exportAssignments") {
+    try {
+      const result = await exportCustomerLocationPreferences(admin, formData.get("after") || null);
+      return { success: true, ...result };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to export assignments: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  return {
+    success: false,
+    message: "Unknown action",
+  };
+};
+
+// Saves text as a file through the browser
+const downloadFile = (contents, filename) => {
+  const url = URL.createObjectURL(new Blob([contents], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function ImportPage() {
+  const fetcher = useFetcher();
+  const exportFetcher = useFetcher();
+  const loaderData = useLoaderData();
+  const shopify = useAppBridge();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const isWorking =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formMethod === "POST";
+  // Each export run reads part of the customers, so the file is put together from
+  // runs that continue where the last stopped
+  const [exportedCsv, setExportedCsv] = useState(null);
+  const isExporting =
+    (["loading", "submitting"].includes(exportFetcher.state) &&
+      exportFetcher.formMethod === "POST") ||
+    exportedCsv !== null;
+
+  useEffect(() => {
+    if (fetcher.data?.preview) {
+      setPreview(fetcher.data.preview);
+    }
+    if (fetcher.data?.applied) {
+      setPreview(null);
+      setFile(null);
+    }
+    if (fetcher.data?.success === true && fetcher.data.message) {
+      shopify.toast.show(fetcher.data.message);
+    }
+    if (fetcher.data?.success === false) {
+      shopify.toast.show(fetcher.data.message, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  useEffect(() => {
+    const data = exportFetcher.data;
+    if (data?.success === false) {
+      setExportedCsv(null);
+      shopify.toast.show(data.message, { isError: true });
+      return;
+    }
+    if (data?.csv === undefined) {
+      return;
+    }
+
+    const csv = [exportedCsv, data.csv].filter(Boolean).join("\r\n");
+    if (data.hasNextPage) {
+      setExportedCsv(csv);
+      exportFetcher.submit({ action: "exportAssignments", after: data.endCursor }, { method: "POST" });
+    } else {
+      setExportedCsv(null);
+      downloadFile(csv, "customer-locations.csv");
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [exportFetcher.data]);
+
+  const locationNames = new Map(loaderData.storeLocations.map((location) => [location.id, location.name]));
+  const describeLocations = (locationIds) =>
+    locationIds.length > 0
+      ? locationIds.map((locationId) => locationNames.get(locationId) || locationId).join(", ")
+      : "None";
+
+  const previewFile = async (selectedFile) => {
+    setFile(selectedFile);
+    setPreview(null);
+    fetcher.submit({ action: "previewImport", csv: await selectedFile.text() }, { method: "POST" });
+  };
+
+  const changedUpdates = preview ? preview.updates.filter((update) => !update.isUnchanged) : [];
+  const applyImport = () =>
+    fetcher.submit(
+      {
+        action: "applyImport",
+        updates: JSON.stringify(
+          changedUpdates.map(({ customerId, locationIds }) => ({ customerId, locationIds })),
+        ),
+      },
+      { method: "POST" },
+    );
+
+  return (
+    <Page>
+      <TitleBar title="Import and Export" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Import Assignments
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Upload a CSV with a customer ID or email column and a location column. Nothing is saved
+                    until you review the preview and apply it.
+                  </Text>
+                </BlockStack>
+                <DropZone
+                  accept=".csv,text/csv"
+                  type="file"
+                  allowMultiple={false}
+                  onDrop={(files) => files[0] && previewFile(files[0])}
+                >
+                  {file ? (
+                    <BlockStack gap="100" inlineAlign="center">
+                      <Text as="p" variant="bodyMd" alignment="center">
+                        {file.name}
+                      </Text>
+                    </BlockStack>
+                  ) : (
+                    <DropZone.FileUpload actionHint="Accepts .csv files" />
+                  )}
+                </DropZone>
+              </BlockStack>
+            </Card>
+            {preview && (
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="h2" variant="headingMd">
+                      Preview
+                    </Text>
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      {preview.rowCount} rows, {changedUpdates.length} customers to change
+                    </Text>
+                  </InlineStack>
+                  {preview.errors.length > 0 && (
+                    <Banner
+                      tone="warning"
+                      title={`${preview.errors.length} rows could not be imported`}
+                    >
+                      <p>Customers with an invalid row are left unchanged.</p>
+                      <List>
+                        {preview.errors.map((error, index) => (
+                          <List.Item key={index}>
+                            Line {error.line}: {error.message}
+                          </List.Item>
+                        ))}
+                      </List>
+                    </Banner>
+                  )}
+                  {preview.updates.length > 0 && (
+                    <IndexTable
+                      resourceName={{ singular: "customer", plural: "customers" }}
+                      itemCount={preview.updates.length}
+                      selectable={false}
+                      headings={[
+                        { title: "Customer" },
+                        { title: "Current" },
+                        { title: "New" },
+                      ]}
+                    >
+                      {preview.updates.map((update, index) => (
+                        <IndexTable.Row id={update.customerId} key={update.customerId} position={index}>
+                          <IndexTable.Cell>
+                            <BlockStack gap="050">
+                              <Text as="span" variant="bodyMd" fontWeight="semibold">
+                                {update.displayName}
+                              </Text>
+                              <Text as="span" variant="bodySm" tone="subdued">
+                                {update.email}
+                              </Text>
+                            </BlockStack>
+                          </IndexTable.Cell>
+                          <IndexTable.Cell>{describeLocations(update.currentLocationIds)}</IndexTable.Cell>
+                          <IndexTable.Cell>
+                            <InlineStack gap="200" blockAlign="center">
+                              <Text as="span" variant="bodyMd">
+                                {describeLocations(update.locationIds)}
+                              </Text>
+                              {update.isUnchanged && <Badge>Unchanged</Badge>}
+                            </InlineStack>
+                          </IndexTable.Cell>
+                        </IndexTable.Row>
+                      ))}
+                    </IndexTable>
+                  )}
+                  <InlineStack align="end" gap="300">
+                    <Button onClick={() => { setPreview(null); setFile(null); }}>
+                      Cancel
+                    </Button>
+                    <Button
+                      variant="primary"
+                      loading={isWorking}
+                      disabled={changedUpdates.length === 0}
+                      onClick={applyImport}
+                    >
+                      {`Apply to ${changedUpdates.length} customers`}
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            )}
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Export Assignments
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Download every customer&apos;s preferred locations. The file can be edited and imported again.
+                  </Text>
+                </BlockStack>
+                <InlineStack align="end">
+                  <Button
+                    loading={isExporting}
+                    onClick={() => exportFetcher.submit({ action: "exportAssignments" }, { method: "POST" })}
+                  >
+                    Export CSV
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                File format
+              </Text>
+              <List>
+                <List.Item>
+                  Identify customers with a customer_id or email column
+                </List.Item>
+                <List.Item>
+                  Give the location in a location_id or location column, as an ID or the location name.
+                  Only locations in the app&apos;s location list can be assigned.
+                </List.Item>
+                <List.Item>
+                  Several rows for one customer set their preferred locations in row order
+                </List.Item>
+                <List.Item>
+                  A row with an empty location clears the customer&apos;s preference
+                </List.Item>
+              </List>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -22,7 +22,13 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
-        <Link to="/app/additional">Additional page</Link>
+        <Link to="/app/customers">Customers</Link>
+        <Link to="/app/import">Import / Export</Link>
+        <Link to="/app/locations">Locations</Link>
+        <Link to="/app/remap">Remap</Link>
+        <Link to="/app/audit">Change Log</Link>
+        <Link to="/app/settings">Settings</Link>
+        <Link to="/app/diagnostics">Diagnostics</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
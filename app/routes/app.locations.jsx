@@ -0,0 +1,292 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Box,
+  Button,
+  Card,
+  Checkbox,
+  InlineStack,
+  Layout,
+  List,
+  Page,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  ensureAppLocationListMetafield,
+  resetLocationList,
+  saveCuratedLocationList,
+} from "../utils/appMetafields.server";
+import { parseLocationList } from "../utils/locationList";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  try {
+    // Syncing first means the list below reflects any location changes
+    const { metafield, storeLocations } = await ensureAppLocationListMetafield(admin);
+    const list = parseLocationList(metafield?.value);
+
+    return {
+      curated: list.curated,
+      selectedLocations: list.locations,
+      storeLocations,
+    };
+  } catch (error) {
+    console.error("Failed to load location list:", error);
+    return {
+      curated: false,
+      selectedLocations: [],
+      storeLocations: [],
+      error: error.message,
+    };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("action");
+
+  if (action === "saveLocationList") {
+    try {
+      const selections = JSON.parse(formData.get("selections"));
+      await saveCuratedLocationList(admin, selections);
+      return {
+        success: true,
+        message: "Location list saved",
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to save location list: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  if (action === "resetLocationList") {
+    try {
+      await resetLocationList(admin);
+      return {
+        success: true,
+        message: "All active locations are selectable again",
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to reset location list: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  return {
+    success: false,
+    message: "Unknown action",
+  };
+};
+
+// Rows list the published locations in their order, then every other active location
+const toRows = ({ curated, selectedLocations, storeLocations }) => {
+  const selectedIds = new Set(selectedLocations.map((location) => location.id));
+  return [
+    ...selectedLocations.map((location) => ({
+      ...location,
+      label: curated ? location.label : "",
+      isSelected: true,
+    })),
+    ...storeLocations
+      .filter((location) => !selectedIds.has(location.id))
+      .map((location) => ({ ...location, label: "", isSelected: false })),
+  ];
+};
+
+export default function LocationsPage() {
+  const fetcher = useFetcher();
+  const loaderData = useLoaderData();
+  const shopify = useAppBridge();
+  const [rows, setRows] = useState(() => toRows(loaderData));
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const isSaving =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formMethod === "POST";
+
+  // Reloaded data replaces local edits after a save or reset
+  useEffect(() => {
+    setRows(toRows(loaderData));
+  }, [loaderData]);
+
+  useEffect(() => {
+    if (fetcher.data?.success === true) {
+      shopify.toast.show(fetcher.data.message);
+    }
+    if (fetcher.data?.success === false) {
+      shopify.toast.show(fetcher.data.message, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const updateRow = (index, changes) =>
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  const moveRow = (from, to) => {
+    if (to < 0 || to >= rows.length || from === to) {
+      return;
+    }
+    const reordered = [...rows];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    setRows(reordered);
+  };
+
+  const saveLocationList = () => {
+    const selections = rows
+      .filter((row) => row.isSelected)
+      .map((row) => ({ id: row.id, label: row.label }));
+    fetcher.submit(
+      { action: "saveLocationList", selections: JSON.stringify(selections) },
+      { method: "POST" },
+    );
+  };
+  const resetList = () => fetcher.submit({ action: "resetLocationList" }, { method: "POST" });
+
+  const selectedCount = rows.filter((row) => row.isSelected).length;
+
+  return (
+    <Page>
+      <TitleBar title="Locations" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {loaderData.error && (
+              <Banner tone="critical" title="Locations could not be loaded">
+                <p>{loaderData.error}</p>
+              </Banner>
+            )}
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="h2" variant="headingMd">
+                      Selectable Locations
+                    </Text>
+                    <Badge tone={loaderData.curated ? "info" : undefined}>
+                      {loaderData.curated ? "Curated" : "All active locations"}
+                    </Badge>
+                  </InlineStack>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Choose the locations staff can pick on draft orders and company locations, drag them
+                    into the order they should appear in, and optionally give them a customer-friendly label.
+                  </Text>
+                </BlockStack>
+                {rows.map((row, index) => (
+                  <div
+                    key={row.id}
+                    draggable
+                    onDragStart={() => setDraggedIndex(index)}
+                    onDragOver={(event) => event.preventDefault()}
+                    onDrop={() => {
+                      moveRow(draggedIndex, index);
+                      setDraggedIndex(null);
+                    }}
+                    onDragEnd={() => setDraggedIndex(null)}
+                    style={{ cursor: "grab", opacity: draggedIndex === index ? 0.5 : 1 }}
+                  >
+                    <Box
+                      padding="300"
+                      borderWidth="025"
+                      borderRadius="200"
+                      borderColor="border"
+                      background={row.isSelected ? "bg-surface" : "bg-surface-secondary"}
+                    >
+                      <InlineStack gap="300" blockAlign="center" wrap={false}>
+                        <Text as="span" variant="bodyLg" tone="subdued">
+                          ⠿
+                        </Text>
+                        <Box minWidth="200px">
+                          <Checkbox
+                            label={row.name}
+                            helpText={[row.city, row.country].filter(Boolean).join(", ")}
+                            checked={row.isSelected}
+                            onChange={(isSelected) => updateRow(index, { isSelected })}
+                          />
+                        </Box>
+                        <Box width="100%">
+                          <TextField
+                            label="Label"
+                            labelHidden
+                            placeholder={row.name}
+                            value={row.label}
+                            disabled={!row.isSelected}
+                            onChange={(label) => updateRow(index, { label })}
+                            autoComplete="off"
+                          />
+                        </Box>
+                        {row.localPickup && <Badge>Pickup</Badge>}
+                        <Button
+                          accessibilityLabel={`Move ${row.name} up`}
+                          disabled={index === 0}
+                          onClick={() => moveRow(index, index - 1)}
+                        >
+                          Up
+                        </Button>
+                        <Button
+                          accessibilityLabel={`Move ${row.name} down`}
+                          disabled={index === rows.length - 1}
+                          onClick={() => moveRow(index, index + 1)}
+                        >
+                          Down
+                        </Button>
+                      </InlineStack>
+                    </Box>
+                  </div>
+                ))}
+              </BlockStack>
+            </Card>
+            <InlineStack align="end" gap="300">
+              <Button loading={isSaving} disabled={!loaderData.curated} onClick={resetList}>
+                Use all locations
+              </Button>
+              <Button
+                variant="primary"
+                loading={isSaving}
+                disabled={selectedCount === 0}
+                onClick={saveLocationList}
+              >
+                Save
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                How the list is kept up to date
+              </Text>
+              <List>
+                <List.Item>
+                  Until you save a selection, every active location is selectable
+                </List.Item>
+                <List.Item>
+                  Once saved, renamed locations keep your label and position, and deactivated locations
+                  are removed
+                </List.Item>
+                <List.Item>
+                  New locations are not added automatically; select them here
+                </List.Item>
+                <List.Item>
+                  Labels only change what staff see; preferences still store the location itself
+                </List.Item>
+              </List>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,390 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Box,
+  Button,
+  Card,
+  FormLayout,
+  InlineStack,
+  Layout,
+  List,
+  Page,
+  ProgressBar,
+  Select,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStoreLocations } from "../utils/appMetafields.server";
+import {
+  getLocationPreferenceRemapStatus,
+  getStoredLocationValues,
+  isLocationId,
+  startLocationPreferenceRemap,
+} from "../utils/customerPreferences.server";
+import { getPreferenceAudit, PREFERENCE_CHANGE_SOURCES } from "../utils/preferenceAudit.server";
+
+// How often the page checks on a running remap
+const STATUS_POLL_INTERVAL = 2000;
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  const [storeLocations, { storedValues, isPartial }] = await Promise.all([
+    getStoreLocations(admin),
+    getStoredLocationValues(admin),
+  ]);
+  const locationNames = new Map(storeLocations.map((location) => [location.id, location.name]));
+
+  return {
+    storeLocations,
+    isPartial,
+    storedValues: storedValues.map((storedValue) => ({
+      ...storedValue,
+      label: locationNames.has(storedValue.value)
+        ? locationNames.get(storedValue.value)
+        : isLocationId(storedValue.value)
+          ? `Missing location (${storedValue.value})`
+          : `Location name "${storedValue.value}"`,
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const context = await authenticate.admin(request);
+  const { admin } = context;
+  const formData = await request.formData();
+  const action = formData.get("action");
+
+  if (action === "startRemap") {
+    try {
+      const result = await startLocationPreferenceRemap(
+        admin,
+        formData.get("oldValue"),
+        formData.get("targetLocationId"),
+        getPreferenceAudit(context, PREFERENCE_CHANGE_SOURCES.LOCATION_REMAP),
+        {
+          connection: formData.get("connection") || undefined,
+          after: formData.get("after") || null,
+        },
+      );
+      return {
+        success: true,
+        remapData: {
+          readCount: result.readCount,
+          matchedCount: result.matchedCount,
+          convertedCount: result.convertedCount,
+          bulkCount: result.bulkCount,
+          bulkOperationId: result.bulkOperation?.id || null,
+          next: result.next,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to start remap: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  if (action === "checkRemapStatus") {
+    try {
+      const status = await getLocationPreferenceRemapStatus(admin, formData.get("bulkOperationId"));
+      return { success: true, status };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to check remap progress: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  return {
+    success: false,
+    message: "Unknown action",
+  };
+};
+
+// The stored values are reloaded once the whole remap has finished, rather than
+// after every run and progress check
+export const shouldRevalidate = ({ formData, defaultShouldRevalidate }) =>
+  ["startRemap", "checkRemapStatus"].includes(formData?.get("action")) ? false : defaultShouldRevalidate;
+
+export default function RemapPage() {
+  const fetcher = useFetcher();
+  const statusFetcher = useFetcher();
+  const loaderData = useLoaderData();
+  const shopify = useAppBridge();
+  const revalidator = useRevalidator();
+  const [oldValue, setOldValue] = useState("");
+  const [targetLocationId, setTargetLocationId] = useState("");
+  // Each remap run reads part of the customers and company locations, so runs are
+  // added up and the next one starts once the last one's bulk operation has finished
+  const [remap, setRemap] = useState(null);
+  const isStarting =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formMethod === "POST";
+
+  // Ignore the status of an earlier run until the current one is checked
+  const status = statusFetcher.data?.status?.bulkOperationId === remap?.bulkOperationId
+    ? statusFetcher.data.status
+    : undefined;
+  const isRunning = Boolean(remap?.bulkOperationId) && !status?.isFinished;
+  const isRemapping = isStarting || Boolean(remap?.bulkOperationId || remap?.next);
+
+  const submitRun = (values, next) =>
+    fetcher.submit(
+      { action: "startRemap", ...values, connection: next?.connection || "", after: next?.after || "" },
+      { method: "POST" },
+    );
+
+  const startRemap = () => {
+    setRemap({
+      oldValue,
+      targetLocationId,
+      readCount: 0,
+      matchedCount: 0,
+      convertedCount: 0,
+      updatedCount: 0,
+      bulkCount: 0,
+      failures: [],
+      errorCode: null,
+      bulkOperationId: null,
+      next: null,
+    });
+    submitRun({ oldValue, targetLocationId });
+  };
+
+  // Moves on to the next owners, or reports the remap once every owner has been read
+  const finishRun = (current) => {
+    if (current.next) {
+      submitRun({ oldValue: current.oldValue, targetLocationId: current.targetLocationId }, current.next);
+      return;
+    }
+    shopify.toast.show(
+      current.matchedCount === 0
+        ? "No customers or company locations use that value"
+        : `Remapped ${current.matchedCount} customers and company locations`,
+    );
+    revalidator.revalidate();
+  };
+
+  useEffect(() => {
+    const data = fetcher.data;
+    if (data?.success === false) {
+      setRemap((current) => current && { ...current, bulkOperationId: null, next: null });
+      shopify.toast.show(data.message, { isError: true });
+      return;
+    }
+    if (!data?.remapData || !remap) {
+      return;
+    }
+
+    const run = data.remapData;
+    const current = {
+      ...remap,
+      readCount: remap.readCount + run.readCount,
+      matchedCount: remap.matchedCount + run.matchedCount,
+      convertedCount: remap.convertedCount + run.convertedCount,
+      bulkCount: run.bulkCount,
+      bulkOperationId: run.bulkOperationId,
+      next: run.next,
+    };
+    setRemap(current);
+    if (!run.bulkOperationId) {
+      finishRun(current);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fetcher.data]);
+
+  // Keep checking on the bulk operation until it finishes
+  useEffect(() => {
+    if (!isRunning || statusFetcher.state !== "idle") {
+      return undefined;
+    }
+    const timeout = setTimeout(() => {
+      statusFetcher.submit(
+        { action: "checkRemapStatus", bulkOperationId: remap.bulkOperationId },
+        { method: "POST" },
+      );
+    }, STATUS_POLL_INTERVAL);
+    return () => clearTimeout(timeout);
+  }, [isRunning, remap, statusFetcher]);
+
+  // Add up the finished run, then start the next one
+  useEffect(() => {
+    if (!status?.isFinished) {
+      return;
+    }
+    const current = {
+      ...remap,
+      updatedCount: remap.updatedCount + status.updatedCount,
+      failures: [...remap.failures, ...status.failures],
+      errorCode: status.errorCode || remap.errorCode,
+      bulkOperationId: null,
+    };
+    setRemap(current);
+    finishRun(current);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status?.isFinished]);
+
+  const isFinished = remap && !isRemapping;
+
+  return (
+    <Page>
+      <TitleBar title="Remap Preferences" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Remap Customer Preferences
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Point every customer and company location whose preferred locations include an old value
+                    at another location, including customers&apos; delivery method preferences. The rest of each
+                    list and its order are kept.
+                  </Text>
+                </BlockStack>
+                <FormLayout>
+                  <Select
+                    label="Old value"
+                    options={[
+                      { label: "Select a stored value", value: "" },
+                      ...loaderData.storedValues.map((storedValue) => ({
+                        label: `${storedValue.label} – used by ${storedValue.ownerCount}`,
+                        value: storedValue.value,
+                      })),
+                    ]}
+                    value={oldValue}
+                    onChange={setOldValue}
+                    helpText={
+                      loaderData.isPartial
+                        ? "Values that are not a current location are listed as location names or missing locations. Only the first customers and company locations are counted; the remap reads them all."
+                        : "Values that are not a current location are listed as location names or missing locations."
+                    }
+                  />
+                  <Select
+                    label="Target location"
+                    options={[
+                      { label: "Select a location", value: "" },
+                      ...loaderData.storeLocations.map((location) => ({
+                        label: location.name,
+                        value: location.id,
+                      })),
+                    ]}
+                    value={targetLocationId}
+                    onChange={setTargetLocationId}
+                  />
+                </FormLayout>
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    loading={isRemapping}
+                    disabled={!oldValue || !targetLocationId || oldValue === targetLocationId}
+                    onClick={startRemap}
+                  >
+                    Remap preferences
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            {remap && (isRemapping || remap.matchedCount > 0) && (
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">
+                    {isFinished ? "Remap Results" : "Remap in Progress"}
+                  </Text>
+                  {isRemapping && (
+                    <BlockStack gap="200">
+                      <Text as="p" variant="bodyMd" tone="subdued">
+                        {remap.readCount} customers and company locations read, {remap.matchedCount} matched
+                      </Text>
+                      {isRunning && (
+                        <>
+                          <ProgressBar
+                            progress={remap.bulkCount > 0 ? Math.min(100, ((status?.processedCount || 0) / remap.bulkCount) * 100) : 0}
+                          />
+                          <Text as="p" variant="bodyMd" tone="subdued">
+                            {status?.processedCount || 0} of {remap.bulkCount} in this batch processed
+                            {status ? ` (${status.status.toLowerCase()})` : ""}
+                          </Text>
+                        </>
+                      )}
+                    </BlockStack>
+                  )}
+                  {isFinished && (
+                    <Box
+                      padding="400"
+                      background={remap.failures.length > 0 || remap.errorCode ? "bg-surface-warning" : "bg-surface-success"}
+                      borderWidth="025"
+                      borderRadius="200"
+                      borderColor={remap.failures.length > 0 || remap.errorCode ? "border-caution" : "border-success"}
+                    >
+                      <BlockStack gap="200">
+                        <Text as="p" variant="bodyMd">
+                          <strong>Customers and company locations matched:</strong> {remap.matchedCount}
+                        </Text>
+                        <Text as="p" variant="bodyMd">
+                          <strong>Updated:</strong> {remap.convertedCount + remap.updatedCount}
+                        </Text>
+                        {remap.errorCode && (
+                          <Text as="p" variant="bodyMd">
+                            <strong>Bulk operation error:</strong> {remap.errorCode}
+                          </Text>
+                        )}
+                        {remap.failures.length > 0 && (
+                          <>
+                            <Text as="p" variant="bodyMd">
+                              <strong>Failed ({remap.failures.length}):</strong>
+                            </Text>
+                            <List>
+                              {remap.failures.map((failure, index) => (
+                                <List.Item key={index}>{failure}</List.Item>
+                              ))}
+                            </List>
+                          </>
+                        )}
+                      </BlockStack>
+                    </Box>
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+            {loaderData.storedValues.length === 0 && (
+              <Banner tone="info">
+                <p>No customers have a preferred location yet.</p>
+              </Banner>
+            )}
+          </BlockStack>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                When to remap
+              </Text>
+              <List>
+                <List.Item>
+                  A location was renamed and customers still hold its old name
+                </List.Item>
+                <List.Item>
+                  A location was deleted or deactivated and its customers should move to another one
+                </List.Item>
+                <List.Item>
+                  Customers are being moved from one store to another
+                </List.Item>
+              </List>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
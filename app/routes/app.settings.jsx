@@ -0,0 +1,691 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  ChoiceList,
+  FormLayout,
+  InlineStack,
+  Layout,
+  List,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getFulfillmentConstraintRule } from "../utils/fulfillmentConstraints.server";
+import { getStoreLocations } from "../utils/appMetafields.server";
+import {
+  DEFAULT_RULE_CONFIGURATION,
+  getRuleConfiguration,
+  normalizeRuleConfiguration,
+  setRuleConfiguration,
+  validateRuleConfiguration,
+} from "../utils/ruleConfiguration.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  const storeLocations = await getStoreLocations(admin);
+
+  try {
+    const rule = await getFulfillmentConstraintRule(admin);
+    const configuration = rule
+      ? await getRuleConfiguration(admin, rule.id)
+      : DEFAULT_RULE_CONFIGURATION;
+
+    return {
+      ruleId: rule?.id || null,
+      configuration,
+      storeLocations,
+    };
+  } catch (error) {
+    console.error("Failed to load rule configuration:", error);
+    return {
+      ruleId: null,
+      configuration: DEFAULT_RULE_CONFIGURATION,
+      storeLocations,
+      error: error.message,
+    };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const rule = await getFulfillmentConstraintRule(admin);
+    if (!rule) {
+      return {
+        success: false,
+        message: "Register the fulfillment rule on the home page before saving settings",
+      };
+    }
+
+    const configuration = normalizeRuleConfiguration(JSON.parse(formData.get("configuration")));
+    const storeLocations = await getStoreLocations(admin);
+    const errors = validateRuleConfiguration(configuration, storeLocations);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: errors.join(". "),
+        errors,
+      };
+    }
+
+    const savedConfiguration = await setRuleConfiguration(admin, session.shop, rule.id, configuration);
+    return {
+      success: true,
+      message: "Settings saved",
+      configuration: savedConfiguration,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to save settings: ${error.message}`,
+      error: error.message,
+    };
+  }
+};
+
+const EMPTY_ZONE = {
+  name: "",
+  countryCodes: "",
+  provinceCodes: "",
+  postalCodes: "",
+  locationId: "",
+};
+
+// Zones are edited as comma-separated text and turned back into lists on save
+const toZoneDraft = (zone) => ({
+  ...zone,
+  countryCodes: zone.countryCodes.join(", "),
+  provinceCodes: zone.provinceCodes.join(", "),
+  postalCodes: zone.postalCodes.join(", "),
+  locationId: zone.locationId || "",
+});
+
+const EMPTY_RULE = {
+  name: "",
+  collections: [],
+  locationId: "",
+};
+
+const toRuleDraft = (rule) => ({
+  ...rule,
+  locationId: rule.locationId || "",
+});
+
+const EMPTY_LOCATION_HOURS = {
+  locationId: "",
+  openDays: ["MON", "TUE", "WED", "THU", "FRI"],
+  openingHour: "8",
+  cutoffHour: "15",
+  alternateLocationId: "",
+};
+
+// Selects hold strings, so hours are edited as text and parsed on save
+const toLocationHoursDraft = (hours) => ({
+  ...hours,
+  locationId: hours.locationId || "",
+  openingHour: String(hours.openingHour),
+  cutoffHour: String(hours.cutoffHour),
+  alternateLocationId: hours.alternateLocationId || "",
+});
+
+const EMPTY_CLOSURE = {
+  locationId: "",
+  startDate: "",
+  endDate: "",
+  substituteLocationId: "",
+};
+
+const toClosureDraft = (closure) => ({
+  ...closure,
+  locationId: closure.locationId || "",
+  substituteLocationId: closure.substituteLocationId || "",
+});
+
+const EMPTY_CAPACITY_LIMIT = {
+  locationId: "",
+  dailyOrderCap: "",
+  fallbackLocationId: "",
+};
+
+const toCapacityLimitDraft = (limit) => ({
+  ...limit,
+  locationId: limit.locationId || "",
+  dailyOrderCap: String(limit.dailyOrderCap),
+  fallbackLocationId: limit.fallbackLocationId || "",
+});
+
+const DAY_CHOICES = [
+  { label: "Monday", value: "MON" },
+  { label: "Tuesday", value: "TUE" },
+  { label: "Wednesday", value: "WED" },
+  { label: "Thursday", value: "THU" },
+  { label: "Friday", value: "FRI" },
+  { label: "Saturday", value: "SAT" },
+  { label: "Sunday", value: "SUN" },
+];
+
+const HOUR_OPTIONS = Array.from({ length: 25 }, (_, hour) => ({
+  label: `${String(hour).padStart(2, "0")}:00`,
+  value: String(hour),
+}));
+
+export default function SettingsPage() {
+  const fetcher = useFetcher();
+  const loaderData = useLoaderData();
+  const shopify = useAppBridge();
+  const [configuration, setConfiguration] = useState(loaderData.configuration);
+  const [zones, setZones] = useState(() => loaderData.configuration.zones.map(toZoneDraft));
+  const [rules, setRules] = useState(() => loaderData.configuration.rules.map(toRuleDraft));
+  const [locationHours, setLocationHours] = useState(() =>
+    loaderData.configuration.locationHours.map(toLocationHoursDraft),
+  );
+  const [closures, setClosures] = useState(() => loaderData.configuration.closures.map(toClosureDraft));
+  const [capacityLimits, setCapacityLimits] = useState(() =>
+    loaderData.configuration.capacityLimits.map(toCapacityLimitDraft),
+  );
+  const isSaving =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formMethod === "POST";
+
+  useEffect(() => {
+    if (fetcher.data?.success === true) {
+      shopify.toast.show(fetcher.data.message);
+    }
+    if (fetcher.data?.success === false) {
+      shopify.toast.show(fetcher.data.message, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const updateConfiguration = (changes) => setConfiguration({ ...configuration, ...changes });
+  const saveConfiguration = () =>
+    fetcher.submit({ configuration: JSON.stringify({ ...configuration, zones, rules, locationHours, closures, capacityLimits }) }, { method: "POST" });
+
+  const updateZone = (index, changes) =>
+    setZones(zones.map((zone, i) => (i === index ? { ...zone, ...changes } : zone)));
+  const addZone = () => setZones([...zones, EMPTY_ZONE]);
+  const removeZone = (index) => setZones(zones.filter((_, i) => i !== index));
+  const moveZoneUp = (index) => {
+    const reordered = [...zones];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    setZones(reordered);
+  };
+
+  const updateRule = (index, changes) =>
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  const addRule = () => setRules([...rules, EMPTY_RULE]);
+  const removeRule = (index) => setRules(rules.filter((_, i) => i !== index));
+  const moveRuleUp = (index) => {
+    const reordered = [...rules];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    setRules(reordered);
+  };
+  const selectRuleCollections = async (index) => {
+    const selected = await shopify.resourcePicker({
+      type: "collection",
+      multiple: true,
+      selectionIds: rules[index].collections.map(({ id }) => ({ id })),
+    });
+    // The picker resolves to undefined when it is closed without a selection
+    if (selected) {
+      updateRule(index, {
+        collections: selected.map((collection) => ({ id: collection.id, title: collection.title })),
+      });
+    }
+  };
+
+  const updateLocationHours = (index, changes) =>
+    setLocationHours(locationHours.map((hours, i) => (i === index ? { ...hours, ...changes } : hours)));
+  const addLocationHours = () => setLocationHours([...locationHours, EMPTY_LOCATION_HOURS]);
+  const removeLocationHours = (index) => setLocationHours(locationHours.filter((_, i) => i !== index));
+
+  const updateClosure = (index, changes) =>
+    setClosures(closures.map((closure, i) => (i === index ? { ...closure, ...changes } : closure)));
+  const addClosure = () => setClosures([...closures, EMPTY_CLOSURE]);
+  const removeClosure = (index) => setClosures(closures.filter((_, i) => i !== index));
+
+  const updateCapacityLimit = (index, changes) =>
+    setCapacityLimits(capacityLimits.map((limit, i) => (i === index ? { ...limit, ...changes } : limit)));
+  const addCapacityLimit = () => setCapacityLimits([...capacityLimits, EMPTY_CAPACITY_LIMIT]);
+  const removeCapacityLimit = (index) => setCapacityLimits(capacityLimits.filter((_, i) => i !== index));
+
+  const storeLocationOptions = loaderData.storeLocations.map((location) => ({
+    label: location.name,
+    value: location.id,
+  }));
+  const locationOptions = [
+    { label: "No default location", value: "" },
+    ...storeLocationOptions,
+  ];
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {!loaderData.ruleId && (
+              <Banner tone="warning" title="Fulfillment rule not registered">
+                <p>
+                  Settings are stored on the fulfillment constraint rule. Register the rule on the
+                  home page before changing them.
+                  {loaderData.error ? ` (${loaderData.error})` : ""}
+                </p>
+              </Banner>
+            )}
+            {fetcher.data?.errors && (
+              <Banner tone="critical" title="Settings were not saved">
+                <List>
+                  {fetcher.data.errors.map((error) => (
+                    <List.Item key={error}>{error}</List.Item>
+                  ))}
+                </List>
+              </Banner>
+            )}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Fulfillment Location Routing
+                </Text>
+                <Checkbox
+                  label="Apply fulfillment location preferences at checkout"
+                  helpText="When turned off, the function leaves fulfillment to Shopify's default routing."
+                  checked={configuration.enabled}
+                  onChange={(enabled) => updateConfiguration({ enabled })}
+                />
+                <Select
+                  label="Default location"
+                  helpText="Used for customers who have no preferred location."
+                  options={locationOptions}
+                  value={configuration.defaultLocationId || ""}
+                  onChange={(defaultLocationId) => updateConfiguration({ defaultLocationId: defaultLocationId || null })}
+                />
+                <ChoiceList
+                  title="When the preferred location is not found"
+                  choices={[
+                    { label: "Skip constraints and let Shopify choose", value: "SKIP" },
+                    { label: "Use the default location", value: "USE_DEFAULT" },
+                  ]}
+                  selected={[configuration.notFoundBehavior]}
+                  onChange={([notFoundBehavior]) => updateConfiguration({ notFoundBehavior })}
+                />
+                <ChoiceList
+                  title="Ship each order from a single location"
+                  choices={[
+                    { label: "No, let Shopify split orders", value: "NEVER" },
+                    {
+                      label: "When no location applies",
+                      value: "WITHOUT_PREFERENCE",
+                      helpText:
+                        "For buyers with no preference, rule, zone or default location, and when the preferred location is not found and constraints are skipped.",
+                    },
+                    {
+                      label: "Always",
+                      value: "ALWAYS",
+                      helpText: "Orders also ship from just one of the buyer's preferred locations.",
+                    },
+                  ]}
+                  selected={[configuration.keepTogether]}
+                  onChange={([keepTogether]) => updateConfiguration({ keepTogether })}
+                />
+              </BlockStack>
+            </Card>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Routing Zones
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Customers without a preferred location are routed by delivery address. Zones are
+                    checked from top to bottom and the first match wins. Postal codes can be prefixes
+                    such as 20, or ranges such as 2000-2249.
+                  </Text>
+                </BlockStack>
+                {zones.map((zone, index) => (
+                  <BlockStack gap="200" key={index}>
+                    <FormLayout>
+                      <FormLayout.Group>
+                        <TextField
+                          label="Zone name"
+                          value={zone.name}
+                          onChange={(name) => updateZone(index, { name })}
+                          autoComplete="off"
+                        />
+                        <Select
+                          label="Location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={zone.locationId}
+                          onChange={(locationId) => updateZone(index, { locationId })}
+                        />
+                      </FormLayout.Group>
+                      <FormLayout.Group condensed>
+                        <TextField
+                          label="Country codes"
+                          placeholder="AU, NZ"
+                          value={zone.countryCodes}
+                          onChange={(countryCodes) => updateZone(index, { countryCodes })}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Province codes"
+                          placeholder="Any province"
+                          value={zone.provinceCodes}
+                          onChange={(provinceCodes) => updateZone(index, { provinceCodes })}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Postal codes"
+                          placeholder="Any postal code"
+                          value={zone.postalCodes}
+                          onChange={(postalCodes) => updateZone(index, { postalCodes })}
+                          autoComplete="off"
+                        />
+                      </FormLayout.Group>
+                    </FormLayout>
+                    <InlineStack gap="200">
+                      <Button disabled={index === 0} onClick={() => moveZoneUp(index)}>
+                        Move up
+                      </Button>
+                      <Button tone="critical" onClick={() => removeZone(index)}>
+                        Remove zone
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                ))}
+                <InlineStack>
+                  <Button onClick={addZone}>Add zone</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Routing Rules
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Rules route lines by collection when there is no explicit preference. They are checked
+                    from top to bottom for each line and the first rule with the line's product in any of
+                    its collections wins. To route by product tag, use an automated collection with a tag
+                    condition.
+                  </Text>
+                </BlockStack>
+                {rules.map((rule, index) => (
+                  <BlockStack gap="200" key={index}>
+                    <FormLayout>
+                      <FormLayout.Group>
+                        <TextField
+                          label="Rule name"
+                          value={rule.name}
+                          onChange={(name) => updateRule(index, { name })}
+                          autoComplete="off"
+                        />
+                        <Select
+                          label="Location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={rule.locationId}
+                          onChange={(locationId) => updateRule(index, { locationId })}
+                        />
+                      </FormLayout.Group>
+                    </FormLayout>
+                    <InlineStack gap="200" blockAlign="center">
+                      <Button onClick={() => selectRuleCollections(index)}>Select collections</Button>
+                      <Text as="span" variant="bodyMd" tone="subdued">
+                        {rule.collections.length > 0
+                          ? rule.collections.map((collection) => collection.title).join(", ")
+                          : "No collections selected"}
+                      </Text>
+                    </InlineStack>
+                    <InlineStack gap="200">
+                      <Button disabled={index === 0} onClick={() => moveRuleUp(index)}>
+                        Move up
+                      </Button>
+                      <Button tone="critical" onClick={() => removeRule(index)}>
+                        Remove rule
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                ))}
+                <InlineStack>
+                  <Button onClick={addRule}>Add rule</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Location Hours
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Orders placed outside a location&apos;s packing days and hours go to its alternate
+                    location instead. Times use the shop&apos;s time zone and whole hours. Locations can
+                    use up to two different opening and cutoff times between them.
+                    Locations without hours take orders around the clock.
+                  </Text>
+                </BlockStack>
+                {locationHours.map((hours, index) => (
+                  <BlockStack gap="200" key={index}>
+                    <FormLayout>
+                      <FormLayout.Group>
+                        <Select
+                          label="Location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={hours.locationId}
+                          onChange={(locationId) => updateLocationHours(index, { locationId })}
+                        />
+                        <Select
+                          label="Alternate location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={hours.alternateLocationId}
+                          onChange={(alternateLocationId) => updateLocationHours(index, { alternateLocationId })}
+                        />
+                      </FormLayout.Group>
+                      <FormLayout.Group condensed>
+                        <Select
+                          label="Opens"
+                          options={HOUR_OPTIONS.slice(0, 24)}
+                          value={hours.openingHour}
+                          onChange={(openingHour) => updateLocationHours(index, { openingHour })}
+                        />
+                        <Select
+                          label="Cutoff"
+                          options={HOUR_OPTIONS.slice(1)}
+                          value={hours.cutoffHour}
+                          onChange={(cutoffHour) => updateLocationHours(index, { cutoffHour })}
+                        />
+                      </FormLayout.Group>
+                      <ChoiceList
+                        title="Open days"
+                        allowMultiple
+                        choices={DAY_CHOICES}
+                        selected={hours.openDays}
+                        onChange={(openDays) => updateLocationHours(index, { openDays })}
+                      />
+                    </FormLayout>
+                    <InlineStack>
+                      <Button tone="critical" onClick={() => removeLocationHours(index)}>
+                        Remove hours
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                ))}
+                <InlineStack>
+                  <Button onClick={addLocationHours}>Add location hours</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Temporary Closures
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    While a location is closed, orders that would go to it go to the substitute location.
+                    Customer preferences are not changed, so routing returns to normal after the end date.
+                    Dates use the shop&apos;s time zone and include both the start and end day.
+                  </Text>
+                </BlockStack>
+                {closures.map((closure, index) => (
+                  <BlockStack gap="200" key={index}>
+                    <FormLayout>
+                      <FormLayout.Group>
+                        <Select
+                          label="Closed location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={closure.locationId}
+                          onChange={(locationId) => updateClosure(index, { locationId })}
+                        />
+                        <Select
+                          label="Substitute location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={closure.substituteLocationId}
+                          onChange={(substituteLocationId) => updateClosure(index, { substituteLocationId })}
+                        />
+                      </FormLayout.Group>
+                      <FormLayout.Group condensed>
+                        <TextField
+                          label="First closed day"
+                          type="date"
+                          value={closure.startDate}
+                          onChange={(startDate) => updateClosure(index, { startDate })}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Last closed day"
+                          type="date"
+                          value={closure.endDate}
+                          onChange={(endDate) => updateClosure(index, { endDate })}
+                          autoComplete="off"
+                        />
+                      </FormLayout.Group>
+                    </FormLayout>
+                    <InlineStack>
+                      <Button tone="critical" onClick={() => removeClosure(index)}>
+                        Remove closure
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                ))}
+                <InlineStack>
+                  <Button onClick={addClosure}>Add closure</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Daily Capacity
+                  </Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Once a location has been assigned its daily number of orders, further orders go to its
+                    fallback location until the end of the day. Today&apos;s load is shown on the home page.
+                  </Text>
+                </BlockStack>
+                {capacityLimits.map((limit, index) => (
+                  <BlockStack gap="200" key={index}>
+                    <FormLayout>
+                      <FormLayout.Group condensed>
+                        <Select
+                          label="Location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={limit.locationId}
+                          onChange={(locationId) => updateCapacityLimit(index, { locationId })}
+                        />
+                        <TextField
+                          label="Orders per day"
+                          type="number"
+                          min={1}
+                          value={limit.dailyOrderCap}
+                          onChange={(dailyOrderCap) => updateCapacityLimit(index, { dailyOrderCap })}
+                          autoComplete="off"
+                        />
+                        <Select
+                          label="Fallback location"
+                          options={[{ label: "Select a location", value: "" }, ...storeLocationOptions]}
+                          value={limit.fallbackLocationId}
+                          onChange={(fallbackLocationId) => updateCapacityLimit(index, { fallbackLocationId })}
+                        />
+                      </FormLayout.Group>
+                    </FormLayout>
+                    <InlineStack>
+                      <Button tone="critical" onClick={() => removeCapacityLimit(index)}>
+                        Remove cap
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                ))}
+                <InlineStack>
+                  <Button onClick={addCapacityLimit}>Add daily cap</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+            <InlineStack align="end">
+              <Button
+                variant="primary"
+                loading={isSaving}
+                disabled={!loaderData.ruleId}
+                onClick={saveConfiguration}
+              >
+                Save
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                How settings apply
+              </Text>
+              <List>
+                <List.Item>
+                  A cart attribute, company location or customer preference always comes first
+                </List.Item>
+                <List.Item>
+                  Routing rules are checked next, line by line
+                </List.Item>
+                <List.Item>
+                  Routing zones only apply to buyers with no preference, for lines no rule matches
+                </List.Item>
+                <List.Item>
+                  The default location only applies when there is no preference, matching rule or matching zone, or when the
+                  preferred location is not found and "Use the default location" is chosen
+                </List.Item>
+                <List.Item>
+                  A closed location is replaced by its substitute for the closure dates
+                </List.Item>
+                <List.Item>
+                  A location that has reached its daily cap is replaced by its fallback
+                </List.Item>
+                <List.Item>
+                  Outside a location&apos;s hours, its alternate location takes its place in the list
+                </List.Item>
+                <List.Item>
+                  Lines with different product location restrictions can still ship separately when orders are
+                  kept to a single location
+                </List.Item>
+                <List.Item>
+                  Product location restrictions still apply when the preferred location is not found
+                </List.Item>
+              </List>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -12,5 +12,11 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // A reinstall runs every setup step again
+  await db.provisioningStep.deleteMany({ where: { shop } });
+
+  // Bulk operations stop with the uninstall, so queued flags can never finish
+  await db.locationFlag.deleteMany({ where: { shop } });
+
   return new Response();
 };
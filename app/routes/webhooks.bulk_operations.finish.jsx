@@ -0,0 +1,24 @@
+import { authenticate } from "../shopify.server";
+import { finishLocationPreferenceRemap } from "../utils/customerPreferences.server";
+import { finishLocationFlagging } from "../utils/locationFlags.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The admin context is missing when the app has been uninstalled.
+  // Tagging customers can take longer than Shopify waits for a response, so it runs after acknowledging it.
+  // Remaps are recorded here too, in case staff left the remap page before the bulk operation finished.
+  if (admin) {
+    const bulkOperationId = payload.admin_graphql_api_id;
+    Promise.all([
+      finishLocationFlagging(admin, shop, bulkOperationId),
+      finishLocationPreferenceRemap(admin, bulkOperationId),
+    ]).catch(error => {
+      console.error(`Error handling ${topic} webhook for ${shop}:`, error);
+    });
+  }
+
+  return new Response();
+};
@@ -0,0 +1,18 @@
+import { authenticate } from "../shopify.server";
+import { handleLocationWebhook } from "../utils/locationWebhooks.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The admin context is missing when the app has been uninstalled.
+  // Shopify only waits 5 seconds for a response, so the sync runs after acknowledging it.
+  if (admin) {
+    handleLocationWebhook(admin, shop, topic, payload).catch(error => {
+      console.error(`Error handling ${topic} webhook for ${shop}:`, error);
+    });
+  }
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { recordOrderForCapacity } from "../utils/locationCapacity.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The admin context is missing when the app has been uninstalled.
+  // Errors are left to fail the request so Shopify retries it; recording an order twice is harmless.
+  if (admin) {
+    await recordOrderForCapacity(admin, shop, payload);
+  }
+
+  return new Response();
+};
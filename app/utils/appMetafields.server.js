@@ -2,6 +2,15 @@
  * Utility functions for managing app metafields
  */
 
+import {
+  getLocationListLabel,
+  LOCATION_LIST_VERSION,
+  parseLocationList,
+  serializeLocationList,
+} from "./locationList";
+import { ensureCustomerPreferenceDefinitions } from "./metafieldDefinitions.server";
+import { APP_METAFIELD_NAMESPACE, LEGACY_METAFIELD_NAMESPACE } from "./metafieldNamespaces";
+
 /**
  * Gets the current app installation ID
  * @param {Object} admin - Shopify Admin API client
@@ -34,38 +43,68 @@ async function getCurrentAppInstallationId(admin) {
 }
 
 /**
- * Gets all active locations from the store
+ * Gets all active locations from the store, following every page of results
  * @param {Object} admin - Shopify Admin API client
- * @returns {Promise<Array>} - Array of location objects with id and name
+ * @returns {Promise<Array>} - Array of { id, name, address, city, country, localPickup } location objects
  */
 export async function getStoreLocations(admin) {
   const query = `#graphql
-    query locations($first: Int!) {
-      locations(first: $first, includeInactive: false) {
+    query locations($first: Int!, $after: String) {
+      locations(first: $first, after: $after, includeInactive: false) {
         edges {
           node {
             id
             name
             isActive
+            address {
+              address1
+              city
+              country
+            }
+            localPickupSettingsV2 {
+              pickupTime
+            }
           }
         }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
       }
     }
   `;
 
   try {
-    const response = await admin.graphql(query, { 
-      variables: { first: 50 } 
-    });
-    const result = await response.json();
-    
-    const locations = result.data?.locations?.edges || [];
-    return locations
-      .filter(edge => edge.node.isActive)
-      .map(edge => ({
-        id: edge.node.id,
-        name: edge.node.name
-      }));
+    const locations = [];
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const response = await admin.graphql(query, {
+        variables: { first: 250, after }
+      });
+      const result = await response.json();
+
+      const connection = result.data?.locations;
+      for (const edge of connection?.edges || []) {
+        if (edge.node.isActive) {
+          locations.push({
+            id: edge.node.id,
+            name: edge.node.name,
+            address: edge.node.address?.address1 || "",
+            city: edge.node.address?.city || "",
+            country: edge.node.address?.country || "",
+            // Local pickup settings are only present when pickup is turned on
+            localPickup: Boolean(edge.node.localPickupSettingsV2)
+          });
+        }
+      }
+
+      hasNextPage = connection?.pageInfo?.hasNextPage ?? false;
+      after = connection?.pageInfo?.endCursor ?? null;
+    }
+
+    return locations;
   } catch (error) {
     console.error("Error fetching store locations:", error);
     return [];
@@ -73,64 +112,76 @@ export async function getStoreLocations(admin) {
 }
 
 /**
- * Gets the app's fulfillment location list metafield
+ * Gets a fulfillment location list metafield on the app installation
  * @param {Object} admin - Shopify Admin API client
+ * @param {string} namespace - The namespace to read from
  * @returns {Promise<Object|null>} - The metafield object or null if not found
  */
-export async function getAppLocationListMetafield(admin) {
+async function getLocationListMetafield(admin, namespace) {
   const query = `#graphql
-    query appMetafields($first: Int!) {
+    query appLocationListMetafield($namespace: String!) {
       currentAppInstallation {
-        metafields(first: $first) {
-          edges {
-            node {
-              id
-              namespace
-              key
-              value
-              type
-            }
-          }
+        metafield(namespace: $namespace, key: "fulfillment_location_list") {
+          id
+          namespace
+          key
+          value
+          type
         }
       }
     }
   `;
 
   try {
-    const response = await admin.graphql(query, {
-      variables: {
-        first: 10
-      }
-    });
+    const response = await admin.graphql(query, { variables: { namespace } });
     const result = await response.json();
-    
-    const edges = result.data?.currentAppInstallation?.metafields?.edges || [];
-    
-    // Filter to find the specific metafield we want
-    const fulfillmentLocationMetafield = edges.find(edge => 
-      edge.node.namespace === "custom" && edge.node.key === "fulfillment_location_list"
-    );
-    
-    return fulfillmentLocationMetafield?.node || null;
+
+    return result.data?.currentAppInstallation?.metafield || null;
   } catch (error) {
     console.error("Error fetching app metafield:", error);
     return null;
   }
 }
 
+/**
+ * Gets the app's fulfillment location list metafield
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object|null>} - The metafield object or null if not found
+ */
+export async function getAppLocationListMetafield(admin) {
+  return getLocationListMetafield(admin, APP_METAFIELD_NAMESPACE);
+}
+
+/**
+ * Keeps the choices of the customer preference definitions in step with the location list.
+ * Failures are logged rather than thrown, since the list itself was saved.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array} locations - The locations in the list
+ * @returns {Promise<void>}
+ */
+async function syncCustomerPreferenceDefinitions(admin, locations) {
+  try {
+    await ensureCustomerPreferenceDefinitions(admin, locations.map(loc => loc.id));
+  } catch (error) {
+    console.error("Failed to sync customer preference definitions:", error);
+  }
+}
+
 /**
  * Creates or updates the app's fulfillment location list metafield
  * @param {Object} admin - Shopify Admin API client
- * @param {Array} locationNames - Array of location names to store
+ * @param {Array} locations - Array of location objects to store, as returned by getStoreLocations
+ * @param {boolean} [curated] - Whether the merchant picked the locations on the Locations page
  * @returns {Promise<Object>} - The created/updated metafield
  */
-export async function setAppLocationListMetafield(admin, locationNames) {
-  console.log("Setting app location list metafield with locations:", locationNames);
+export async function setAppLocationListMetafield(admin, locations, curated = false) {
+  console.log("Setting app location list metafield with locations:", locations);
   
   // First check if metafield already exists
   const existingMetafield = await getAppLocationListMetafield(admin);
   
-  const locationListValue = JSON.stringify(locationNames);
+  // Store the stable location ID alongside the name, which is only used as a label
+  const locationListValue = serializeLocationList(locations, curated);
   
   // Use metafieldsSet to create or update the metafield
   const mutation = `#graphql
@@ -154,7 +205,7 @@ export async function setAppLocationListMetafield(admin, locationNames) {
   const variables = {
     metafields: [
       {
-        namespace: "custom",
+        namespace: APP_METAFIELD_NAMESPACE,
         key: "fulfillment_location_list",
         value: locationListValue,
         type: "json",
@@ -173,6 +224,7 @@ export async function setAppLocationListMetafield(admin, locationNames) {
     }
     
     console.log(existingMetafield ? "Successfully updated app location list metafield" : "Successfully created app location list metafield");
+    await syncCustomerPreferenceDefinitions(admin, locations);
     return result.data?.metafieldsSet?.metafields?.[0];
   } catch (error) {
     console.error("Error setting app metafield:", error);
@@ -180,6 +232,82 @@ export async function setAppLocationListMetafield(admin, locationNames) {
   }
 }
 
+/**
+ * Works out which locations the list should hold. An uncurated list holds every
+ * active location. A curated list keeps the merchant's locations, order and
+ * labels, refreshes their names and addresses, and drops locations that are no
+ * longer active; new locations are only added from the Locations page.
+ * @param {Array} storeLocations - The active store locations
+ * @param {Object} existingList - The stored list, as read by parseLocationList
+ * @returns {{ locations: Array, curated: boolean }} - The locations to publish
+ */
+function buildLocationList(storeLocations, existingList) {
+  if (!existingList.curated) {
+    return { locations: storeLocations, curated: false };
+  }
+
+  const storeLocationsById = new Map(storeLocations.map(loc => [loc.id, loc]));
+  const locations = existingList.locations
+    .filter(entry => storeLocationsById.has(entry.id))
+    .map(entry => ({ ...storeLocationsById.get(entry.id), label: entry.label }));
+
+  // Staff would have nothing to pick from, so fall back to every location
+  if (locations.length === 0) {
+    console.log("No curated locations are still active, publishing all locations");
+    return { locations: storeLocations, curated: false };
+  }
+
+  return { locations, curated: true };
+}
+
+/**
+ * Works out the list the metafield should hold and why it needs rewriting.
+ * Entries are compared field by field so that renames and address or pickup
+ * changes are picked up too; older versions always force a rewrite.
+ * Until the app-reserved metafield exists, a list kept in the `custom` namespace
+ * by older installs seeds it, so the merchant's curation carries over.
+ * @param {Array} storeLocations - The active store locations
+ * @param {Object|null} existingMetafield - The stored metafield
+ * @param {Object|null} legacyMetafield - The list in the `custom` namespace, if any
+ * @returns {{ list: Object, reason: string|null }} - The list to publish, and
+ *   "missing", "outdated" or "changed" when the metafield needs rewriting
+ */
+function planLocationList(storeLocations, existingMetafield, legacyMetafield) {
+  const existingList = parseLocationList((existingMetafield || legacyMetafield)?.value);
+  const list = buildLocationList(storeLocations, existingList);
+
+  if (!existingMetafield) {
+    return { list, reason: "missing" };
+  }
+  if (existingList.version !== LOCATION_LIST_VERSION) {
+    return { list, reason: "outdated" };
+  }
+  const current = serializeLocationList(list.locations, list.curated);
+  const existing = serializeLocationList(existingList.locations, existingList.curated);
+  return { list, reason: existing !== current ? "changed" : null };
+}
+
+/**
+ * Checks whether the app location list metafield matches the store locations, without changing it
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object>} - { isCurrent, reason, locationCount }, where reason is
+ *   "missing", "outdated" or "changed" when the metafield is not current
+ */
+export async function getAppLocationListStatus(admin) {
+  const [storeLocations, existingMetafield] = await Promise.all([
+    getStoreLocations(admin),
+    getAppLocationListMetafield(admin),
+  ]);
+  const legacyMetafield = existingMetafield ? null : await getLocationListMetafield(admin, LEGACY_METAFIELD_NAMESPACE);
+  const { list, reason } = planLocationList(storeLocations, existingMetafield, legacyMetafield);
+
+  return {
+    isCurrent: reason === null,
+    reason,
+    locationCount: list.locations.length
+  };
+}
+
 /**
  * Ensures the app location list metafield is set up with current store locations
  * @param {Object} admin - Shopify Admin API client
@@ -195,48 +323,41 @@ export async function ensureAppLocationListMetafield(admin) {
       throw new Error("No active locations found in store");
     }
     
-    // Extract location names
-    const locationNames = storeLocations.map(loc => loc.name);
-    
     // Check existing metafield
     const existingMetafield = await getAppLocationListMetafield(admin);
+    const legacyMetafield = existingMetafield ? null : await getLocationListMetafield(admin, LEGACY_METAFIELD_NAMESPACE);
+    const { list, reason } = planLocationList(storeLocations, existingMetafield, legacyMetafield);
     
-    let needsUpdate = false;
-    if (!existingMetafield) {
-      needsUpdate = true;
-      console.log("No existing app metafield found, will create new one");
+    // Extract location labels for display
+    const locationNames = list.locations.map(getLocationListLabel);
+    
+    const needsUpdate = reason !== null;
+    if (reason === "missing") {
+      console.log(legacyMetafield
+        ? "Copying the location list from the custom namespace"
+        : "No existing app metafield found, will create new one");
+    } else if (reason === "outdated") {
+      console.log("App metafield uses an older format, will update metafield");
+    } else if (reason === "changed") {
+      console.log("Store locations have changed, will update metafield");
+      console.log("Current locations:", list.locations);
     } else {
-      // Compare existing locations with current store locations
-      try {
-        const existingLocations = JSON.parse(existingMetafield.value);
-        const existingSet = new Set(existingLocations);
-        const currentSet = new Set(locationNames);
-        
-        // Check if locations have changed
-        if (existingSet.size !== currentSet.size || 
-            ![...existingSet].every(loc => currentSet.has(loc))) {
-          needsUpdate = true;
-          console.log("Store locations have changed, will update metafield");
-          console.log("Existing locations:", existingLocations);
-          console.log("Current locations:", locationNames);
-        } else {
-          console.log("App metafield is up to date");
-        }
-      } catch (parseError) {
-        console.log("Error parsing existing metafield, will update:", parseError);
-        needsUpdate = true;
-      }
+      console.log("App metafield is up to date");
     }
     
     let metafield = existingMetafield;
     if (needsUpdate) {
-      metafield = await setAppLocationListMetafield(admin, locationNames);
+      metafield = await setAppLocationListMetafield(admin, list.locations, list.curated);
+    } else {
+      // Stores set up before the definitions existed get them on the next check
+      await syncCustomerPreferenceDefinitions(admin, list.locations);
     }
     
     return {
       metafield,
       storeLocations,
       locationNames,
+      isCurated: list.curated,
       wasUpdated: needsUpdate
     };
   } catch (error) {
@@ -244,3 +365,44 @@ export async function ensureAppLocationListMetafield(admin) {
     throw error;
   }
 }
+
+/**
+ * Saves the merchant's choice of selectable locations, in order, with custom labels
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array} selections - Array of { id, label } objects, in the order staff should see them
+ * @returns {Promise<Object>} - The updated metafield
+ */
+export async function saveCuratedLocationList(admin, selections) {
+  const storeLocations = await getStoreLocations(admin);
+  const storeLocationsById = new Map(storeLocations.map(loc => [loc.id, loc]));
+
+  if (selections.length === 0) {
+    throw new Error("Choose at least one location for staff to pick from");
+  }
+
+  const unknown = selections.filter(selection => !storeLocationsById.has(selection.id));
+  if (unknown.length > 0) {
+    throw new Error(`These locations are no longer active: ${unknown.map(selection => selection.id).join(", ")}`);
+  }
+
+  const locations = selections.map(selection => ({
+    ...storeLocationsById.get(selection.id),
+    label: selection.label,
+  }));
+
+  return setAppLocationListMetafield(admin, locations, true);
+}
+
+/**
+ * Drops the merchant's curation so that every active location is selectable again
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object>} - The updated metafield
+ */
+export async function resetLocationList(admin) {
+  const storeLocations = await getStoreLocations(admin);
+  if (storeLocations.length === 0) {
+    throw new Error("No active locations found in store");
+  }
+
+  return setAppLocationListMetafield(admin, storeLocations, false);
+}
@@ -0,0 +1,197 @@
+/**
+ * Utility functions for running bulk queries and mutations through the Admin API
+ */
+
+/**
+ * Uploads the variables for a bulk mutation as a JSONL file
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<Object>} variables - One set of mutation variables per line
+ * @returns {Promise<string>} - The staged upload path to pass to bulkOperationRunMutation
+ */
+async function stageBulkMutationVariables(admin, variables) {
+  const mutation = `#graphql
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(mutation, {
+    variables: {
+      input: [
+        {
+          resource: "BULK_MUTATION_VARIABLES",
+          filename: "bulk_mutation_variables.jsonl",
+          mimeType: "text/jsonl",
+          httpMethod: "POST"
+        }
+      ]
+    }
+  });
+  const result = await response.json();
+
+  if (result.data?.stagedUploadsCreate?.userErrors?.length > 0) {
+    console.error("Errors creating staged upload:", result.data.stagedUploadsCreate.userErrors);
+    throw new Error(`Failed to create staged upload: ${result.data.stagedUploadsCreate.userErrors.map(e => e.message).join(', ')}`);
+  }
+
+  const target = result.data?.stagedUploadsCreate?.stagedTargets?.[0];
+  if (!target) {
+    throw new Error("No staged upload target was returned");
+  }
+
+  // The file has to be the last form field
+  const form = new FormData();
+  for (const { name, value } of target.parameters) {
+    form.append(name, value);
+  }
+  const jsonl = variables.map(line => JSON.stringify(line)).join("\n");
+  form.append("file", new Blob([jsonl], { type: "text/jsonl" }), "bulk_mutation_variables.jsonl");
+
+  const uploadResponse = await fetch(target.url, { method: "POST", body: form });
+  if (!uploadResponse.ok) {
+    throw new Error(`Failed to upload bulk mutation variables: HTTP ${uploadResponse.status}`);
+  }
+
+  // The upload path is the `key` parameter of the staged target
+  return target.parameters.find(parameter => parameter.name === "key")?.value;
+}
+
+/**
+ * Starts a bulk mutation that runs once for every set of variables
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} mutation - The mutation to run for each line
+ * @param {Array<Object>} variables - One set of mutation variables per line
+ * @returns {Promise<Object>} - The bulk operation, with id and status
+ */
+export async function runBulkMutation(admin, mutation, variables) {
+  const stagedUploadPath = await stageBulkMutationVariables(admin, variables);
+
+  const runMutation = `#graphql
+    mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(runMutation, {
+    variables: { mutation, stagedUploadPath }
+  });
+  const result = await response.json();
+
+  if (result.data?.bulkOperationRunMutation?.userErrors?.length > 0) {
+    console.error("Errors starting bulk mutation:", result.data.bulkOperationRunMutation.userErrors);
+    throw new Error(`Failed to start bulk mutation: ${result.data.bulkOperationRunMutation.userErrors.map(e => e.message).join(', ')}`);
+  }
+
+  console.log("Started bulk mutation:", result.data.bulkOperationRunMutation.bulkOperation);
+  return result.data.bulkOperationRunMutation.bulkOperation;
+}
+
+/**
+ * Starts a bulk query, which reads every node of a connection without paging
+ * or query cost limits
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} query - The query to run, without pagination arguments
+ * @returns {Promise<Object>} - The bulk operation, with id and status
+ */
+export async function runBulkQuery(admin, query) {
+  const runQuery = `#graphql
+    mutation bulkOperationRunQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(runQuery, { variables: { query } });
+  const result = await response.json();
+
+  if (result.data?.bulkOperationRunQuery?.userErrors?.length > 0) {
+    console.error("Errors starting bulk query:", result.data.bulkOperationRunQuery.userErrors);
+    throw new Error(`Failed to start bulk query: ${result.data.bulkOperationRunQuery.userErrors.map(e => e.message).join(', ')}`);
+  }
+
+  console.log("Started bulk query:", result.data.bulkOperationRunQuery.bulkOperation);
+  return result.data.bulkOperationRunQuery.bulkOperation;
+}
+
+/**
+ * Gets the progress of a bulk operation
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} bulkOperationId - The bulk operation GID
+ * @returns {Promise<Object|null>} - The bulk operation, or null if not found
+ */
+export async function getBulkOperation(admin, bulkOperationId) {
+  const query = `#graphql
+    query bulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          createdAt
+          completedAt
+          url
+          partialDataUrl
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(query, { variables: { id: bulkOperationId } });
+  const result = await response.json();
+
+  return result.data?.node || null;
+}
+
+/**
+ * Downloads the results of a finished bulk operation
+ * @param {Object} bulkOperation - The bulk operation, as returned by getBulkOperation
+ * @returns {Promise<Array<Object>>} - One object per line: the result of each mutation,
+ *   with a `data` key, or each node a query read
+ */
+export async function getBulkOperationResults(bulkOperation) {
+  const url = bulkOperation.url || bulkOperation.partialDataUrl;
+  if (!url) {
+    return [];
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation results: HTTP ${response.status}`);
+  }
+
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter(line => line.trim() !== "")
+    .map(line => JSON.parse(line));
+}
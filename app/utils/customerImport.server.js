@@ -0,0 +1,402 @@
+/**
+ * Utility functions for importing and exporting customer location assignments as CSV
+ */
+
+import { ensureAppLocationListMetafield, getStoreLocations } from "./appMetafields.server";
+import {
+  getCustomersWithLocationPreference,
+  isLocationId,
+  saveCustomerLocationPreferences,
+} from "./customerPreferences.server";
+import { parseLocationList, parseLocationPreference } from "./locationList";
+import { APP_METAFIELD_NAMESPACE } from "./metafieldNamespaces";
+
+const CUSTOMER_GID_PREFIX = "gid://shopify/Customer/";
+const LOCATION_GID_PREFIX = "gid://shopify/Location/";
+
+// Column names accepted for each field, after lowercasing and replacing spaces with underscores
+const CUSTOMER_ID_COLUMNS = ["customer_id", "id"];
+const EMAIL_COLUMNS = ["email", "customer_email"];
+const CUSTOMER_COLUMNS = ["customer"];
+const LOCATION_COLUMNS = ["location_id", "location", "location_name"];
+
+const EXPORT_COLUMNS = ["customer_id", "email", "name", "location_id", "location_name"];
+
+// How many emails are looked up in one customer search
+const EMAIL_SEARCH_BATCH_SIZE = 50;
+
+/**
+ * Splits CSV text into rows of fields. Quoted fields may contain commas,
+ * line breaks and doubled quotes.
+ * @param {string} text - The CSV file contents
+ * @returns {Array<Array<string>>} - The rows, including the header row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no assignment
+  return rows.filter(fields => fields.some(value => value.trim() !== ""));
+}
+
+/**
+ * Quotes a CSV field when it contains characters that would break the row
+ * @param {string} value - The field value
+ * @returns {string} - The field as written to the file
+ */
+function toCsvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Finds the first column whose header matches one of the accepted names
+ * @param {Array<string>} headers - The normalized header row
+ * @param {Array<string>} names - The accepted column names
+ * @returns {number} - The column index, or -1 if none match
+ */
+function findColumn(headers, names) {
+  return headers.findIndex(header => names.includes(header));
+}
+
+/**
+ * Gets the locations customers may prefer. These are the locations in the app
+ * location list, which the preference metafield definitions also limit values to.
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Array>} - The location list entries
+ */
+async function getSelectableLocations(admin) {
+  const { metafield } = await ensureAppLocationListMetafield(admin);
+  return parseLocationList(metafield?.value).locations;
+}
+
+/**
+ * Resolves a location cell to a selectable location
+ * @param {string} value - A location GID, numeric ID or name
+ * @param {Array} selectableLocations - The locations in the app location list
+ * @returns {{ location?: Object, error?: string }} - The matched location, or why none matched
+ */
+function resolveLocation(value, selectableLocations) {
+  const id = /^\d+$/.test(value) ? `${LOCATION_GID_PREFIX}${value}` : value;
+  if (isLocationId(id)) {
+    const location = selectableLocations.find(selectableLocation => selectableLocation.id === id);
+    return location ? { location } : { error: `Location "${value}" is not in the selectable location list` };
+  }
+
+  const matches = selectableLocations.filter(
+    selectableLocation => selectableLocation.name.toLowerCase() === value.toLowerCase()
+  );
+  if (matches.length > 1) {
+    return { error: `More than one location is named "${value}"; use the location ID instead` };
+  }
+  return matches.length === 1
+    ? { location: matches[0] }
+    : { error: `Location "${value}" is not in the selectable location list` };
+}
+
+/**
+ * Looks up customers by ID
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<string>} customerIds - Customer GIDs
+ * @returns {Promise<Map>} - Customers that exist, by ID
+ */
+async function getCustomersById(admin, customerIds) {
+  const query = `#graphql
+    query importCustomersById($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Customer {
+          id
+          displayName
+          email
+          metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  const customers = new Map();
+  for (let i = 0; i < customerIds.length; i += 250) {
+    const response = await admin.graphql(query, {
+      variables: { ids: customerIds.slice(i, i + 250) }
+    });
+    const result = await response.json();
+
+    for (const node of result.data?.nodes || []) {
+      if (node?.id) {
+        customers.set(node.id, node);
+      }
+    }
+  }
+
+  return customers;
+}
+
+/**
+ * Looks up customers by email address
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<string>} emails - Lowercased email addresses
+ * @returns {Promise<Map>} - Customers that exist, by lowercased email
+ */
+async function getCustomersByEmail(admin, emails) {
+  const query = `#graphql
+    query importCustomersByEmail($query: String!) {
+      customers(first: 250, query: $query) {
+        edges {
+          node {
+            id
+            displayName
+            email
+            metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+              value
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const customers = new Map();
+  for (let i = 0; i < emails.length; i += EMAIL_SEARCH_BATCH_SIZE) {
+    const batch = emails.slice(i, i + EMAIL_SEARCH_BATCH_SIZE);
+    const response = await admin.graphql(query, {
+      variables: {
+        query: batch.map(email => `email:"${email.replace(/"/g, "")}"`).join(" OR ")
+      }
+    });
+    const result = await response.json();
+
+    // Search matches loosely, so only exact addresses count
+    for (const edge of result.data?.customers?.edges || []) {
+      const email = edge.node.email?.toLowerCase();
+      if (email && batch.includes(email)) {
+        customers.set(email, edge.node);
+      }
+    }
+  }
+
+  return customers;
+}
+
+/**
+ * Builds a CSV of customers' preferred locations, one row per location in
+ * preference order. The file can be edited and imported again. Each call reads
+ * part of the customers; call it again with the returned `endCursor` while
+ * `hasNextPage` is true and join the parts with CRLF line breaks.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string|null} [after] - Cursor returned by the previous call
+ * @returns {Promise<Object>} - { csv, endCursor, hasNextPage }, where csv holds this part's rows
+ *   and, for the first part, the header row
+ */
+export async function exportCustomerLocationPreferences(admin, after = null) {
+  try {
+    const [{ customers, endCursor, hasNextPage }, storeLocations] = await Promise.all([
+      getCustomersWithLocationPreference(admin, after),
+      getStoreLocations(admin),
+    ]);
+    const locationNames = new Map(storeLocations.map(location => [location.id, location.name]));
+
+    const rows = customers.flatMap(customer =>
+      parseLocationPreference(customer.value).map(value => [
+        customer.id,
+        customer.email || "",
+        customer.displayName,
+        value,
+        locationNames.get(value) || "",
+      ])
+    );
+
+    console.log(`Exported ${rows.length} location assignments for ${customers.length} customers`);
+    const csv = [...(after ? [] : [EXPORT_COLUMNS]), ...rows]
+      .map(row => row.map(toCsvField).join(","))
+      .join("\r\n");
+    return { csv, endCursor, hasNextPage };
+  } catch (error) {
+    console.error("Error exporting customer location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Reads an assignment CSV and works out the preference each customer would get,
+ * without saving anything. Rows for the same customer build an ordered list;
+ * a row with an empty location clears the customer's preference.
+ * Customers with any invalid row are left out so a partial list is never saved.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} csv - The CSV file contents
+ * @returns {Promise<Object>} - { rowCount, updates, errors }, where each update is
+ *   { customerId, displayName, email, currentLocationIds, locationIds, isUnchanged }
+ *   and each error is { line, message }
+ */
+export async function previewCustomerLocationImport(admin, csv) {
+  try {
+    const [headerRow, ...rows] = parseCsv(csv);
+    if (!headerRow) {
+      throw new Error("The file is empty");
+    }
+
+    const headers = headerRow.map(header => header.trim().toLowerCase().replace(/\s+/g, "_"));
+    const columns = {
+      customerId: findColumn(headers, CUSTOMER_ID_COLUMNS),
+      email: findColumn(headers, EMAIL_COLUMNS),
+      customer: findColumn(headers, CUSTOMER_COLUMNS),
+      location: findColumn(headers, LOCATION_COLUMNS),
+    };
+    if (columns.customerId === -1 && columns.email === -1 && columns.customer === -1) {
+      throw new Error("The file needs a customer_id, email or customer column");
+    }
+    if (columns.location === -1) {
+      throw new Error("The file needs a location_id or location column");
+    }
+
+    const selectableLocations = await getSelectableLocations(admin);
+    const errors = [];
+
+    // Header is line 1, so data rows start at line 2
+    const entries = rows.map((fields, index) => {
+      const cell = column => (column === -1 ? "" : (fields[column] || "").trim());
+      const line = index + 2;
+
+      // An ID wins over an email when a row has both
+      const customerValue = cell(columns.customerId) || cell(columns.customer) || cell(columns.email);
+      let customerKey = null;
+      if (/^\d+$/.test(customerValue)) {
+        customerKey = { id: `${CUSTOMER_GID_PREFIX}${customerValue}` };
+      } else if (customerValue.startsWith(CUSTOMER_GID_PREFIX)) {
+        customerKey = { id: customerValue };
+      } else if (customerValue.includes("@")) {
+        customerKey = { email: customerValue.toLowerCase() };
+      }
+
+      const locationValue = cell(columns.location);
+      const { location, error: locationError } = locationValue
+        ? resolveLocation(locationValue, selectableLocations)
+        : {};
+
+      return { line, customerValue, customerKey, location, locationError };
+    });
+
+    const [customersById, customersByEmail] = await Promise.all([
+      getCustomersById(admin, [...new Set(entries.filter(entry => entry.customerKey?.id).map(entry => entry.customerKey.id))]),
+      getCustomersByEmail(admin, [...new Set(entries.filter(entry => entry.customerKey?.email).map(entry => entry.customerKey.email))]),
+    ]);
+
+    const updatesById = new Map();
+    const invalidCustomerIds = new Set();
+
+    for (const entry of entries) {
+      if (!entry.customerKey) {
+        errors.push({
+          line: entry.line,
+          message: entry.customerValue
+            ? `"${entry.customerValue}" is not a customer ID or email`
+            : "No customer given"
+        });
+        continue;
+      }
+
+      const customer = entry.customerKey.id
+        ? customersById.get(entry.customerKey.id)
+        : customersByEmail.get(entry.customerKey.email);
+      if (!customer) {
+        errors.push({ line: entry.line, message: `Unknown customer "${entry.customerValue}"` });
+        continue;
+      }
+
+      if (entry.locationError) {
+        errors.push({ line: entry.line, message: entry.locationError });
+        invalidCustomerIds.add(customer.id);
+        continue;
+      }
+
+      if (!updatesById.has(customer.id)) {
+        updatesById.set(customer.id, {
+          customerId: customer.id,
+          displayName: customer.displayName,
+          email: customer.email || "",
+          currentLocationIds: parseLocationPreference(customer.metafield?.value),
+          locationIds: []
+        });
+      }
+      const update = updatesById.get(customer.id);
+      if (entry.location && !update.locationIds.includes(entry.location.id)) {
+        update.locationIds.push(entry.location.id);
+      }
+    }
+
+    const updates = [...updatesById.values()]
+      .filter(update => !invalidCustomerIds.has(update.customerId))
+      .map(update => ({
+        ...update,
+        isUnchanged: update.locationIds.join(",") === update.currentLocationIds.join(",")
+      }));
+
+    console.log(`Previewed import of ${rows.length} rows: ${updates.length} customers, ${errors.length} errors`);
+    return { rowCount: rows.length, updates, errors };
+  } catch (error) {
+    console.error("Error previewing customer location import:", error);
+    throw error;
+  }
+}
+
+/**
+ * Saves previewed assignments; unchanged customers are skipped. The shared write
+ * path checks the locations again in case the location list changed since the preview.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array} updates - Array of { customerId, locationIds } objects from the preview
+ * @param {Object} audit - { shop, source, staffUserId } recorded with each change
+ * @returns {Promise<Object>} - { updatedCount, clearedCount }
+ */
+export async function applyCustomerLocationImport(admin, updates, audit) {
+  try {
+    const changed = updates
+      .filter(update => !update.isUnchanged)
+      .map(({ customerId, locationIds }) => ({ customerId, locationIds }));
+
+    return await saveCustomerLocationPreferences(admin, changed, audit);
+  } catch (error) {
+    console.error("Error applying customer location import:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,1083 @@
+/**
+ * Utility functions for managing customer fulfillment location preferences
+ */
+
+import { ensureAppLocationListMetafield, getStoreLocations } from "./appMetafields.server";
+import { getBulkOperation, getBulkOperationResults, runBulkMutation } from "./bulkOperations.server";
+import { DELIVERY_METHOD_TYPES } from "./fulfillmentConstraints.server";
+import { parseLocationList, parseLocationPreference } from "./locationList";
+import { DELIVERY_METHOD_PREFERENCES_KEY } from "./metafieldDefinitions.server";
+import { APP_METAFIELD_NAMESPACE, LEGACY_METAFIELD_NAMESPACE } from "./metafieldNamespaces";
+import {
+  hasPendingPreferenceChanges,
+  recordPendingPreferenceChanges,
+  recordPreferenceChanges,
+  savePendingPreferenceChanges,
+} from "./preferenceAudit.server";
+
+const LOCATION_GID_PREFIX = "gid://shopify/Location/";
+
+// Preferences are an ordered list of location IDs, most preferred first
+export const LOCATION_PREFERENCE_TYPE = "list.single_line_text_field";
+
+// The owners a preference can be stored on, in the order migrations and remaps read them
+const PREFERENCE_OWNER_CONNECTIONS = ["customers", "companyLocations"];
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_SET_BATCH_SIZE = 25;
+
+// Run once per customer by the remap bulk operation
+const METAFIELDS_SET_BULK_MUTATION = `mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+  metafieldsSet(metafields: $metafields) {
+    metafields {
+      ownerId
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}`;
+
+// Tag added to customers whose preferred location was deactivated or deleted,
+// so staff can find them with a customer search
+export const LOCATION_UNAVAILABLE_TAG = "fulfillment-location-unavailable";
+
+/**
+ * Checks whether a stored preference value is a location ID rather than a legacy name
+ * @param {string} value - The stored preference value
+ * @returns {boolean} - True if the value is a location GID
+ */
+export function isLocationId(value) {
+  return typeof value === "string" && value.startsWith(LOCATION_GID_PREFIX);
+}
+
+/**
+ * Parses a stored per delivery method preference. Methods without a list are left
+ * out, so the general preference applies to them.
+ * @param {Object|string} value - The metafield's JSON value, parsed or as stored
+ * @returns {Object} - Location lists keyed by delivery method type
+ */
+export function parseDeliveryMethodPreferences(value) {
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (parseError) {
+      console.log("Error parsing delivery method preferences:", parseError);
+      return {};
+    }
+  }
+
+  return Object.fromEntries(DELIVERY_METHOD_TYPES
+    .map(method => [method, Array.isArray(parsed?.[method]) ? parsed[method].filter(entry => typeof entry === "string") : []])
+    .filter(([, locationIds]) => locationIds.length > 0));
+}
+
+// Preferences are read 100 owners at a time, which keeps a query with both preference
+// metafields within the Admin API cost limit, and a scan stops after this many pages
+// so each request stays within the API rate limit. Throttled requests are tried again.
+const PREFERENCE_SCAN_PAGE_SIZE = 100;
+const MAX_PREFERENCE_SCAN_PAGES = 10;
+const PREFERENCE_SCAN_TRIES = 3;
+
+/**
+ * Reads the app-reserved preferences of customers or company locations, for up to
+ * MAX_PREFERENCE_SCAN_PAGES pages. Only customers have delivery method preferences.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} connection - One of PREFERENCE_OWNER_CONNECTIONS
+ * @param {string|null} after - Cursor to continue from
+ * @returns {Promise<Object>} - { owners, readCount, endCursor, hasNextPage }, where owners is an
+ *   array of { id, displayName, email, value, type, methodPreferences } objects for owners with
+ *   a preference, and methodPreferences holds location lists keyed by delivery method type
+ */
+async function scanLocationPreferences(admin, connection, after) {
+  const customerFields = `
+            displayName
+            email
+            methodPreferences: metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "${DELIVERY_METHOD_PREFERENCES_KEY}") {
+              jsonValue
+            }`;
+
+  const query = `#graphql
+    query locationPreferences($first: Int!, $after: String) {
+      ${connection}(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            ${connection === "customers" ? customerFields : "displayName: name"}
+            metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+              value
+              type
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const owners = [];
+  let readCount = 0;
+  let endCursor = after;
+  let hasNextPage = true;
+
+  for (let pageCount = 0; hasNextPage && pageCount < MAX_PREFERENCE_SCAN_PAGES; pageCount++) {
+    const response = await admin.graphql(query, {
+      variables: { first: PREFERENCE_SCAN_PAGE_SIZE, after: endCursor },
+      tries: PREFERENCE_SCAN_TRIES
+    });
+    const result = await response.json();
+
+    const page = result.data?.[connection];
+    for (const { node } of page?.edges || []) {
+      const methodPreferences = parseDeliveryMethodPreferences(node.methodPreferences?.jsonValue);
+      if (node.metafield?.value || Object.keys(methodPreferences).length > 0) {
+        owners.push({
+          id: node.id,
+          displayName: node.displayName,
+          email: node.email,
+          value: node.metafield?.value || null,
+          type: node.metafield?.type || null,
+          methodPreferences
+        });
+      }
+    }
+
+    readCount += page?.edges?.length || 0;
+    hasNextPage = page?.pageInfo?.hasNextPage ?? false;
+    endCursor = page?.pageInfo?.endCursor ?? null;
+  }
+
+  return { owners, readCount, endCursor, hasNextPage };
+}
+
+/**
+ * Gets the customers that have a fulfillment location preference set, from up to
+ * MAX_PREFERENCE_SCAN_PAGES pages of customers
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string|null} [after] - Cursor returned by the previous call, to read the next customers
+ * @returns {Promise<Object>} - { customers, readCount, endCursor, hasNextPage }, where customers
+ *   is an array of { id, displayName, email, value, type } objects
+ */
+export async function getCustomersWithLocationPreference(admin, after = null) {
+  try {
+    const { owners, readCount, endCursor, hasNextPage } = await scanLocationPreferences(admin, "customers", after);
+    const customers = owners
+      .filter(owner => owner.value)
+      .map(({ id, displayName, email, value, type }) => ({ id, displayName, email, value, type }));
+
+    console.log(`Found ${customers.length} customers with location preference among ${readCount}`);
+    return { customers, readCount, endCursor, hasNextPage };
+  } catch (error) {
+    console.error("Error fetching customer location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Gets the company locations that have a fulfillment location preference set, from up
+ * to MAX_PREFERENCE_SCAN_PAGES pages of company locations
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string|null} [after] - Cursor returned by the previous call, to read the next company locations
+ * @returns {Promise<Object>} - { companyLocations, endCursor, hasNextPage }, where companyLocations
+ *   is an array of { id, name, value } objects
+ */
+export async function getCompanyLocationsWithLocationPreference(admin, after = null) {
+  try {
+    const { owners, endCursor, hasNextPage } = await scanLocationPreferences(admin, "companyLocations", after);
+    const companyLocations = owners.map(({ id, displayName, value }) => ({ id, name: displayName, value }));
+
+    return { companyLocations, endCursor, hasNextPage };
+  } catch (error) {
+    console.error("Error fetching company location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes preference metafields in batches, so they can be cleared or recreated with a new type
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array} metafields - Array of { ownerId, key } objects in the app-reserved namespace
+ * @returns {Promise<void>}
+ */
+async function deletePreferenceMetafields(admin, metafields) {
+  const mutation = `#graphql
+    mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          ownerId
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  for (let i = 0; i < metafields.length; i += METAFIELDS_SET_BATCH_SIZE) {
+    const batch = metafields.slice(i, i + METAFIELDS_SET_BATCH_SIZE);
+    const response = await admin.graphql(mutation, {
+      variables: {
+        metafields: batch.map(({ ownerId, key }) => ({ ownerId, namespace: APP_METAFIELD_NAMESPACE, key }))
+      }
+    });
+    const result = await response.json();
+
+    if (result.data?.metafieldsDelete?.userErrors?.length > 0) {
+      console.error("Errors deleting preference metafields:", result.data.metafieldsDelete.userErrors);
+      throw new Error(`Failed to delete preference metafields: ${result.data.metafieldsDelete.userErrors.map(e => e.message).join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Writes preference metafields in batches
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array} metafields - MetafieldsSetInput objects
+ * @returns {Promise<number>} - The number of metafields written
+ */
+async function setPreferenceMetafields(admin, metafields) {
+  const mutation = `#graphql
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  let updatedCount = 0;
+  for (let i = 0; i < metafields.length; i += METAFIELDS_SET_BATCH_SIZE) {
+    const variables = {
+      metafields: metafields.slice(i, i + METAFIELDS_SET_BATCH_SIZE)
+    };
+
+    const response = await admin.graphql(mutation, { variables });
+    const result = await response.json();
+
+    if (result.data?.metafieldsSet?.userErrors?.length > 0) {
+      console.error("Errors setting preference metafields:", result.data.metafieldsSet.userErrors);
+      throw new Error(`Failed to set preference metafields: ${result.data.metafieldsSet.userErrors.map(e => e.message).join(', ')}`);
+    }
+
+    updatedCount += result.data?.metafieldsSet?.metafields?.length || 0;
+  }
+
+  return updatedCount;
+}
+
+/**
+ * Writes fulfillment location preference lists to customers in batches
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array} updates - Array of { customerId, locationIds } objects
+ * @returns {Promise<number>} - The number of customers updated
+ */
+async function setCustomerLocationPreferences(admin, updates) {
+  return setPreferenceMetafields(admin, updates.map(update => ({
+    namespace: APP_METAFIELD_NAMESPACE,
+    key: "fulfillment_location",
+    value: JSON.stringify(update.locationIds),
+    type: LOCATION_PREFERENCE_TYPE,
+    ownerId: update.customerId
+  })));
+}
+
+// Legacy preferences are read 50 owners at a time, which keeps a query with every
+// preference metafield within the Admin API cost limit of 1000. One migration run
+// reads at most MIGRATION_PAGES_PER_RUN pages and returns where it stopped.
+const MIGRATION_PAGE_SIZE = 50;
+const MIGRATION_PAGES_PER_RUN = 10;
+
+/**
+ * Reads customer or company location preferences kept in the `custom` namespace
+ * by older installs, alongside any app-reserved value, for up to
+ * MIGRATION_PAGES_PER_RUN pages
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} connection - One of PREFERENCE_OWNER_CONNECTIONS
+ * @param {string|null} after - Cursor to continue from
+ * @returns {Promise<Object>} - { owners, readCount, endCursor, hasNextPage }, where owners is an
+ *   array of { id, displayName, legacyValue, isMigrated } objects for owners with a legacy preference
+ */
+async function getLegacyLocationPreferences(admin, connection, after) {
+  const query = `#graphql
+    query legacyLocationPreferences($first: Int!, $after: String) {
+      ${connection}(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            ${connection === "customers" ? "displayName" : "displayName: name"}
+            legacy: metafield(namespace: "${LEGACY_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+              value
+            }
+            current: metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+              value
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const owners = [];
+  let readCount = 0;
+  let endCursor = after;
+  let hasNextPage = true;
+
+  for (let pageCount = 0; hasNextPage && pageCount < MIGRATION_PAGES_PER_RUN; pageCount++) {
+    const response = await admin.graphql(query, {
+      variables: { first: MIGRATION_PAGE_SIZE, after: endCursor }
+    });
+    const result = await response.json();
+
+    const page = result.data?.[connection];
+    for (const { node } of page?.edges || []) {
+      if (node.legacy?.value) {
+        owners.push({
+          id: node.id,
+          displayName: node.displayName,
+          legacyValue: node.legacy.value,
+          isMigrated: Boolean(node.current?.value)
+        });
+      }
+    }
+
+    readCount += page?.edges?.length || 0;
+    hasNextPage = page?.pageInfo?.hasNextPage ?? false;
+    endCursor = page?.pageInfo?.endCursor ?? null;
+  }
+
+  return { owners, readCount, endCursor, hasNextPage };
+}
+
+/**
+ * Copies customer and company location preferences kept in the `custom` namespace
+ * by older installs into the app-reserved namespace, which is the only one the
+ * function and extensions read. Location names are converted to IDs on the way.
+ * Values that are not a location in the location list are dropped, and preferences
+ * that already exist in the app-reserved namespace are left as they are.
+ * Each run copies part of the preferences; run it again with the returned `next`
+ * until that is null. Running it again over the same owners changes nothing.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} [position] - The `next` value returned by the previous run
+ * @param {string} [position.connection] - "customers" or "companyLocations"
+ * @param {string|null} [position.after] - Cursor to continue from
+ * @returns {Promise<Object>} - Summary of this run: { readCount, scannedCount, copiedCount,
+ *   alreadyMigratedCount, unmatched, next }, where next is { connection, after } or null
+ */
+export async function migrateLocationPreferencesToAppNamespace(admin, { connection = "customers", after = null } = {}) {
+  console.log(`=== MIGRATING LOCATION PREFERENCES TO THE APP NAMESPACE (${connection}) ===`);
+
+  if (!PREFERENCE_OWNER_CONNECTIONS.includes(connection)) {
+    throw new Error(`Unknown preference owners: ${connection}`);
+  }
+
+  try {
+    // Makes sure the app-reserved list and definitions exist before preferences are written
+    const { metafield, storeLocations } = await ensureAppLocationListMetafield(admin);
+    const listedIds = new Set(parseLocationList(metafield?.value).locations.map(loc => loc.id));
+    const locationIdsByName = new Map(storeLocations.map(loc => [loc.name, loc.id]));
+
+    const { owners, readCount, endCursor, hasNextPage } = await getLegacyLocationPreferences(admin, connection, after);
+
+    const metafields = [];
+    const unmatched = [];
+    let copiedCount = 0;
+    let alreadyMigrated = 0;
+
+    for (const owner of owners) {
+      if (owner.isMigrated) {
+        alreadyMigrated++;
+        continue;
+      }
+
+      const locationIds = [...new Set(
+        parseLocationPreference(owner.legacyValue)
+          .map(preference => isLocationId(preference) ? preference : locationIdsByName.get(preference))
+          .filter(locationId => listedIds.has(locationId))
+      )];
+
+      if (locationIds.length === 0) {
+        unmatched.push({ id: owner.id, displayName: owner.displayName, value: owner.legacyValue });
+        continue;
+      }
+
+      metafields.push({
+        ownerId: owner.id,
+        namespace: APP_METAFIELD_NAMESPACE,
+        key: "fulfillment_location",
+        value: JSON.stringify(locationIds),
+        type: LOCATION_PREFERENCE_TYPE
+      });
+      copiedCount++;
+    }
+
+    console.log("Preferences to copy:", metafields.length);
+    console.log("Preferences without a listed location:", unmatched.length);
+    await setPreferenceMetafields(admin, metafields);
+
+    const next = getNextScanPosition(connection, endCursor, hasNextPage);
+
+    console.log(next ? `Migration paused after ${readCount} ${connection}` : "=== MIGRATION COMPLETED ===");
+    return {
+      readCount,
+      scannedCount: owners.length,
+      copiedCount,
+      alreadyMigratedCount: alreadyMigrated,
+      unmatched,
+      next
+    };
+  } catch (error) {
+    console.error("Error migrating location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Gets where the next run of a resumable scan over PREFERENCE_OWNER_CONNECTIONS starts
+ * @param {string} connection - The connection the run read
+ * @param {string|null} endCursor - Where the run stopped
+ * @param {boolean} hasNextPage - Whether the connection has more owners
+ * @returns {Object|null} - { connection, after }, or null once every owner has been read
+ */
+function getNextScanPosition(connection, endCursor, hasNextPage) {
+  if (hasNextPage) {
+    return { connection, after: endCursor };
+  }
+  const nextConnection = PREFERENCE_OWNER_CONNECTIONS[PREFERENCE_OWNER_CONNECTIONS.indexOf(connection) + 1];
+  return nextConnection ? { connection: nextConnection, after: null } : null;
+}
+
+/**
+ * Lists the values stored in customer and company location preferences, including
+ * delivery method preferences, with how many owners use each. Each kind of owner is
+ * read for up to MAX_PREFERENCE_SCAN_PAGES pages.
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object>} - { storedValues, isPartial }, where storedValues is an array of
+ *   { value, ownerCount } objects, most used first, and isPartial is true when owners were left unread
+ */
+export async function getStoredLocationValues(admin) {
+  const scans = await Promise.all(
+    PREFERENCE_OWNER_CONNECTIONS.map(connection => scanLocationPreferences(admin, connection, null))
+  );
+
+  const counts = new Map();
+  for (const owner of scans.flatMap(scan => scan.owners)) {
+    const values = new Set([
+      ...parseLocationPreference(owner.value),
+      ...Object.values(owner.methodPreferences).flat()
+    ]);
+    for (const value of values) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+
+  return {
+    storedValues: [...counts.entries()]
+      .map(([value, ownerCount]) => ({ value, ownerCount }))
+      .sort((a, b) => b.ownerCount - a.ownerCount),
+    isPartial: scans.some(scan => scan.hasNextPage)
+  };
+}
+
+/**
+ * Points every customer and company location preference holding an old value, such
+ * as a renamed location's name or a deleted location's ID, at a target location
+ * instead. Both the general list and customers' delivery method lists are remapped.
+ * Preferences in the current list type are rewritten by a bulk operation;
+ * older single value preferences are converted straight away.
+ * Each run reads up to MAX_PREFERENCE_SCAN_PAGES pages of owners; once its bulk
+ * operation has finished, run it again with the returned `next` until that is null.
+ * Converted preferences are recorded in the audit log straight away, and the
+ * rest once the bulk operation finishes.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} oldValue - The stored value to replace
+ * @param {string} targetLocationId - The location to use instead
+ * @param {Object} audit - { shop, source, staffUserId } recorded with each change
+ * @param {Object} [position] - The `next` value returned by the previous run
+ * @param {string} [position.connection] - "customers" or "companyLocations"
+ * @param {string|null} [position.after] - Cursor to continue from
+ * @returns {Promise<Object>} - { readCount, matchedCount, convertedCount, bulkCount, bulkOperation, next },
+ *   where bulkCount is how many owners the bulk operation updates and next is { connection, after } or null
+ */
+export async function startLocationPreferenceRemap(admin, oldValue, targetLocationId, audit, { connection = "customers", after = null } = {}) {
+  console.log(`=== REMAPPING ${connection} PREFERENCES FROM ${oldValue} TO ${targetLocationId} ===`);
+
+  if (!PREFERENCE_OWNER_CONNECTIONS.includes(connection)) {
+    throw new Error(`Unknown preference owners: ${connection}`);
+  }
+
+  try {
+    const storeLocations = await getStoreLocations(admin);
+    if (!storeLocations.some(loc => loc.id === targetLocationId)) {
+      throw new Error("The target location is not an active store location");
+    }
+
+    const { owners, readCount, endCursor, hasNextPage } = await scanLocationPreferences(admin, connection, after);
+    const next = getNextScanPosition(connection, endCursor, hasNextPage);
+    const remapList = locationIds => [...new Set(locationIds.map(value => value === oldValue ? targetLocationId : value))];
+
+    const updates = [];
+    for (const owner of owners) {
+      const locationIds = parseLocationPreference(owner.value);
+      const hasValue = locationIds.includes(oldValue);
+      const hasMethodValue = Object.values(owner.methodPreferences).some(methodLocationIds => methodLocationIds.includes(oldValue));
+      if (!hasValue && !hasMethodValue) {
+        continue;
+      }
+
+      // Lists without the old value are left as they are
+      updates.push({
+        ownerId: owner.id,
+        ownerName: owner.displayName,
+        oldValue: hasValue ? owner.value : null,
+        isListType: owner.type === LOCATION_PREFERENCE_TYPE,
+        locationIds: hasValue ? remapList(locationIds) : null,
+        oldMethodPreferences: hasMethodValue ? owner.methodPreferences : null,
+        methodPreferences: hasMethodValue
+          ? Object.fromEntries(Object.entries(owner.methodPreferences).map(([method, methodLocationIds]) => [method, remapList(methodLocationIds)]))
+          : null
+      });
+    }
+
+    console.log(`${connection} to remap:`, updates.length);
+    if (updates.length === 0) {
+      return { readCount, matchedCount: 0, convertedCount: 0, bulkCount: 0, bulkOperation: null, next };
+    }
+
+    // A metafield's type can't change in place, so single value preferences are removed first
+    const legacyUpdates = updates.filter(update => update.locationIds && !update.isListType);
+    await deletePreferenceMetafields(admin, legacyUpdates.map(update => ({ ownerId: update.ownerId, key: "fulfillment_location" })));
+    const convertedCount = await setCustomerLocationPreferences(admin, legacyUpdates.map(update => ({
+      customerId: update.ownerId,
+      locationIds: update.locationIds
+    })));
+
+    const bulkUpdates = updates
+      .map(update => ({
+        ...update,
+        metafields: [
+          ...(update.locationIds && update.isListType ? [{
+            namespace: APP_METAFIELD_NAMESPACE,
+            key: "fulfillment_location",
+            value: JSON.stringify(update.locationIds),
+            type: LOCATION_PREFERENCE_TYPE,
+            ownerId: update.ownerId
+          }] : []),
+          ...(update.methodPreferences ? [{
+            namespace: APP_METAFIELD_NAMESPACE,
+            key: DELIVERY_METHOD_PREFERENCES_KEY,
+            value: JSON.stringify(update.methodPreferences),
+            type: "json",
+            ownerId: update.ownerId
+          }] : [])
+        ]
+      }))
+      .filter(update => update.metafields.length > 0);
+    const bulkOperation = bulkUpdates.length > 0
+      ? await runBulkMutation(admin, METAFIELDS_SET_BULK_MUTATION, bulkUpdates.map(update => ({ metafields: update.metafields })))
+      : null;
+
+    const toGeneralChange = update => ({
+      customerId: update.ownerId,
+      customerName: update.ownerName,
+      key: "fulfillment_location",
+      oldValue: update.oldValue,
+      newValue: JSON.stringify(update.locationIds)
+    });
+    const toMethodsChange = update => ({
+      customerId: update.ownerId,
+      customerName: update.ownerName,
+      key: DELIVERY_METHOD_PREFERENCES_KEY,
+      oldValue: JSON.stringify(update.oldMethodPreferences),
+      newValue: JSON.stringify(update.methodPreferences)
+    });
+    await recordPreferenceChanges(audit, legacyUpdates.map(toGeneralChange));
+    if (bulkOperation) {
+      await savePendingPreferenceChanges(audit, bulkOperation.id, bulkUpdates.flatMap(update => [
+        ...(update.locationIds && update.isListType ? [toGeneralChange(update)] : []),
+        ...(update.methodPreferences ? [toMethodsChange(update)] : [])
+      ]));
+    }
+
+    return { readCount, matchedCount: updates.length, convertedCount, bulkCount: bulkUpdates.length, bulkOperation, next };
+  } catch (error) {
+    console.error("Error remapping location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Records the changes a finished remap bulk operation applied in the audit log
+ * @param {Object} bulkOperation - The finished bulk operation, as returned by getBulkOperation
+ * @returns {Promise<Object>} - { updatedCount, failures }
+ */
+async function recordLocationPreferenceRemap(bulkOperation) {
+  const results = await getBulkOperationResults(bulkOperation);
+  const updatedOwnerIds = new Set();
+  const failures = [];
+  for (const result of results) {
+    const userErrors = result.data?.metafieldsSet?.userErrors || [];
+    if (userErrors.length > 0) {
+      failures.push(userErrors.map(e => e.message).join(", "));
+    } else {
+      for (const metafield of result.data?.metafieldsSet?.metafields || []) {
+        updatedOwnerIds.add(metafield.ownerId);
+      }
+    }
+  }
+
+  // A failed or canceled operation still applied the lines in its partial results
+  await recordPendingPreferenceChanges(bulkOperation.id, [...updatedOwnerIds]);
+
+  return { updatedCount: updatedOwnerIds.size, failures };
+}
+
+/**
+ * Gets the progress of a remap bulk operation, and its results once it has
+ * finished. The owners it updated are then recorded in the audit log, unless
+ * the finish webhook already did.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} bulkOperationId - The bulk operation started by startLocationPreferenceRemap
+ * @returns {Promise<Object>} - { bulkOperationId, status, processedCount, isFinished, updatedCount, failures }
+ */
+export async function getLocationPreferenceRemapStatus(admin, bulkOperationId) {
+  const bulkOperation = await getBulkOperation(admin, bulkOperationId);
+  if (!bulkOperation) {
+    throw new Error("Bulk operation not found");
+  }
+
+  const status = {
+    bulkOperationId: bulkOperation.id,
+    status: bulkOperation.status,
+    errorCode: bulkOperation.errorCode,
+    processedCount: Number(bulkOperation.objectCount) || 0,
+    isFinished: !["CREATED", "RUNNING", "CANCELING"].includes(bulkOperation.status),
+    updatedCount: 0,
+    failures: []
+  };
+
+  if (!status.isFinished) {
+    return status;
+  }
+
+  return { ...status, ...(await recordLocationPreferenceRemap(bulkOperation)) };
+}
+
+/**
+ * Records the changes of a finished remap bulk operation in the audit log, so they
+ * are kept when staff leave the remap page before it finishes. Bulk operations
+ * that are not remaps, or whose changes are already recorded, are ignored.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} bulkOperationId - The finished bulk operation GID
+ * @returns {Promise<void>}
+ */
+export async function finishLocationPreferenceRemap(admin, bulkOperationId) {
+  if (!(await hasPendingPreferenceChanges(bulkOperationId))) {
+    return;
+  }
+
+  const bulkOperation = await getBulkOperation(admin, bulkOperationId);
+  if (!bulkOperation) {
+    throw new Error("Bulk operation not found");
+  }
+
+  const { updatedCount } = await recordLocationPreferenceRemap(bulkOperation);
+  console.log(`Recorded remap ${bulkOperationId} for ${updatedCount} owners`);
+}
+
+// Customer search can't filter on metafields, so a search reads customers in pages
+// of this size, and stops after this many pages so each request stays within the
+// API rate limit. Throttled requests are tried again.
+const SEARCH_SCAN_PAGE_SIZE = 100;
+const MAX_SEARCH_SCAN_PAGES = 5;
+const SEARCH_TRIES = 3;
+
+/**
+ * Finds customers with a fulfillment location preference, one page at a time.
+ * Pages of customers are read until enough have a matching preference or
+ * MAX_SEARCH_SCAN_PAGES have been read, so a page can hold fewer customers
+ * than asked for while more remain; the returned cursor continues the search.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} options
+ * @param {string} [options.search] - Customer search text, such as a name or email
+ * @param {string} [options.locationId] - Only include customers preferring this location
+ * @param {string} [options.after] - Cursor returned with the previous page
+ * @param {number} [options.pageSize] - How many customers to return
+ * @returns {Promise<Object>} - { customers, endCursor, hasNextPage, isPartial }, where
+ *   isPartial is true when the search stopped before filling the page
+ */
+export async function searchCustomerLocationPreferences(admin, { search = "", locationId = "", after = null, pageSize = 50 } = {}) {
+  const query = `#graphql
+    query searchCustomerLocationPreferences($first: Int!, $after: String, $query: String) {
+      customers(first: $first, after: $after, query: $query, sortKey: NAME) {
+        edges {
+          cursor
+          node {
+            id
+            displayName
+            email
+            tags
+            metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+              value
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+        }
+      }
+    }
+  `;
+
+  try {
+    const customers = [];
+    let cursor = after;
+    let hasNextPage = true;
+    let scannedPages = 0;
+
+    while (hasNextPage && customers.length < pageSize && scannedPages < MAX_SEARCH_SCAN_PAGES) {
+      scannedPages += 1;
+      const response = await admin.graphql(query, {
+        variables: { first: SEARCH_SCAN_PAGE_SIZE, after: cursor, query: search || null },
+        tries: SEARCH_TRIES
+      });
+      const result = await response.json();
+
+      const connection = result.data?.customers;
+      const edges = connection?.edges || [];
+      hasNextPage = connection?.pageInfo?.hasNextPage ?? false;
+
+      for (const [index, edge] of edges.entries()) {
+        const locationIds = parseLocationPreference(edge.node.metafield?.value);
+        if (locationIds.length > 0 && (!locationId || locationIds.includes(locationId))) {
+          customers.push({
+            id: edge.node.id,
+            displayName: edge.node.displayName,
+            email: edge.node.email,
+            isFlagged: edge.node.tags.includes(LOCATION_UNAVAILABLE_TAG),
+            locationIds
+          });
+        }
+
+        // Stop mid-page once the page is full, so the next page resumes after this customer
+        cursor = edge.cursor;
+        if (customers.length === pageSize) {
+          hasNextPage = hasNextPage || index < edges.length - 1;
+          break;
+        }
+      }
+    }
+
+    return { customers, endCursor: cursor, hasNextPage, isPartial: hasNextPage && customers.length < pageSize };
+  } catch (error) {
+    console.error("Error searching customer location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Checks that locations can be saved in a preference. The preference metafield
+ * definitions only accept locations in the app location list.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<string>} locationIds - The locations to save
+ * @returns {Promise<void>}
+ */
+async function assertListedLocations(admin, locationIds) {
+  if (locationIds.length === 0) {
+    return;
+  }
+
+  const { metafield } = await ensureAppLocationListMetafield(admin);
+  const listedIds = new Set(parseLocationList(metafield?.value).locations.map(loc => loc.id));
+  const unlistedIds = [...new Set(locationIds)].filter(locationId => !listedIds.has(locationId));
+  if (unlistedIds.length > 0) {
+    throw new Error(`Locations not in the selectable location list: ${unlistedIds.join(", ")}`);
+  }
+}
+
+/**
+ * Saves fulfillment location preferences for customers. This is the write path
+ * shared by every screen and API that changes preferences: it checks the locations
+ * are in the app location list, replaces single value preferences, deletes cleared
+ * ones, and removes the unavailable location flag from customers whose preference was fixed.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array} updates - Array of { customerId, locationIds, methodLocationIds } objects.
+ *   An empty locationIds list clears the general preference. methodLocationIds holds lists
+ *   keyed by delivery method type, where a method left out or left empty falls back to
+ *   the general list; leave methodLocationIds out to keep the stored method lists.
+ * @param {Object} audit - { shop, source, staffUserId } recorded with each change
+ * @returns {Promise<Object>} - { updatedCount, clearedCount }
+ */
+export async function saveCustomerLocationPreferences(admin, updates, audit) {
+  const query = `#graphql
+    query customerLocationPreferences($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Customer {
+          id
+          displayName
+          tags
+          metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+            value
+            type
+          }
+          methodPreferences: metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "${DELIVERY_METHOD_PREFERENCES_KEY}") {
+            jsonValue
+          }
+        }
+      }
+    }
+  `;
+
+  const mutation = `#graphql
+    mutation tagsRemove($id: ID!, $tags: [String!]!) {
+      tagsRemove(id: $id, tags: $tags) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const isLocationList = value => Array.isArray(value) && value.every(entry => typeof entry === "string" && entry !== "");
+  for (const update of updates) {
+    if (!isLocationList(update.locationIds)) {
+      throw new Error("Preferences must be lists of locations");
+    }
+    if (update.methodLocationIds && !Object.values(update.methodLocationIds).every(isLocationList)) {
+      throw new Error("Delivery method preferences must be lists of locations");
+    }
+  }
+
+  try {
+    await assertListedLocations(admin, updates.flatMap(update => [
+      ...update.locationIds,
+      ...Object.values(update.methodLocationIds || {}).flat()
+    ]));
+
+    // Look up the current preferences and tags, 250 customers at a time
+    const currentById = new Map();
+    for (let i = 0; i < updates.length; i += 250) {
+      const response = await admin.graphql(query, {
+        variables: { ids: updates.slice(i, i + 250).map(update => update.customerId) }
+      });
+      const result = await response.json();
+      for (const node of result.data?.nodes || []) {
+        if (node?.id) {
+          currentById.set(node.id, node);
+        }
+      }
+    }
+
+    const unknown = updates.filter(update => !currentById.has(update.customerId));
+    if (unknown.length > 0) {
+      throw new Error(`Customers not found: ${unknown.map(update => update.customerId).join(", ")}`);
+    }
+
+    const metafieldsToDelete = [];
+    const metafieldsToSet = [];
+    const changes = [];
+    for (const update of updates) {
+      const current = currentById.get(update.customerId);
+      const change = { customerId: current.id, customerName: current.displayName };
+
+      // A metafield's type can't change in place, so single value preferences are removed first
+      if (current.metafield && (update.locationIds.length === 0 || current.metafield.type !== LOCATION_PREFERENCE_TYPE)) {
+        metafieldsToDelete.push({ ownerId: current.id, key: "fulfillment_location" });
+      }
+      if (update.locationIds.length > 0) {
+        metafieldsToSet.push({ ownerId: current.id, key: "fulfillment_location", value: JSON.stringify(update.locationIds), type: LOCATION_PREFERENCE_TYPE });
+      }
+      changes.push({
+        ...change,
+        key: "fulfillment_location",
+        oldValue: current.metafield?.value,
+        newValue: update.locationIds.length > 0 ? JSON.stringify(update.locationIds) : null
+      });
+
+      if (!update.methodLocationIds) {
+        continue;
+      }
+
+      // With every delivery method list cleared the general list applies
+      const currentMethodPreferences = parseDeliveryMethodPreferences(current.methodPreferences?.jsonValue);
+      const methodPreferences = parseDeliveryMethodPreferences(update.methodLocationIds);
+      if (Object.keys(methodPreferences).length > 0) {
+        metafieldsToSet.push({ ownerId: current.id, key: DELIVERY_METHOD_PREFERENCES_KEY, value: JSON.stringify(methodPreferences), type: "json" });
+      } else if (current.methodPreferences) {
+        metafieldsToDelete.push({ ownerId: current.id, key: DELIVERY_METHOD_PREFERENCES_KEY });
+      }
+      changes.push({
+        ...change,
+        key: DELIVERY_METHOD_PREFERENCES_KEY,
+        oldValue: Object.keys(currentMethodPreferences).length > 0 ? JSON.stringify(currentMethodPreferences) : null,
+        newValue: Object.keys(methodPreferences).length > 0 ? JSON.stringify(methodPreferences) : null
+      });
+    }
+
+    await deletePreferenceMetafields(admin, metafieldsToDelete);
+    await setPreferenceMetafields(admin, metafieldsToSet.map(metafield => ({ ...metafield, namespace: APP_METAFIELD_NAMESPACE })));
+
+    for (const update of updates) {
+      if (currentById.get(update.customerId).tags.includes(LOCATION_UNAVAILABLE_TAG)) {
+        const response = await admin.graphql(mutation, {
+          variables: { id: update.customerId, tags: [LOCATION_UNAVAILABLE_TAG] }
+        });
+        const result = await response.json();
+
+        if (result.data?.tagsRemove?.userErrors?.length > 0) {
+          console.error("Errors removing customer tag:", result.data.tagsRemove.userErrors);
+          throw new Error(`Failed to remove customer tag: ${result.data.tagsRemove.userErrors.map(e => e.message).join(', ')}`);
+        }
+      }
+    }
+
+    await recordPreferenceChanges(audit, changes);
+
+    const clearedCount = updates.filter(update => update.locationIds.length === 0).length;
+    const updatedCount = updates.length - clearedCount;
+    console.log(`Saved ${updatedCount} and cleared ${clearedCount} customer preferences`);
+    return { updatedCount, clearedCount };
+  } catch (error) {
+    console.error("Error saving customer location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Saves a company location's fulfillment location preference, which applies to
+ * every contact ordering for it. Like saveCustomerLocationPreferences it checks the
+ * locations, replaces a single value preference and records the change.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} companyLocationId - The company location GID
+ * @param {Array<string>} locationIds - The preference, most preferred first; empty clears it
+ * @param {Object} audit - { shop, source, staffUserId } recorded with the change
+ * @returns {Promise<Object>} - { companyLocationId }
+ */
+export async function saveCompanyLocationPreferences(admin, companyLocationId, locationIds, audit) {
+  const query = `#graphql
+    query companyLocationPreference($id: ID!) {
+      companyLocation(id: $id) {
+        id
+        name
+        metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+          value
+          type
+        }
+      }
+    }
+  `;
+
+  if (!Array.isArray(locationIds) || !locationIds.every(entry => typeof entry === "string" && entry !== "")) {
+    throw new Error("Preferences must be lists of locations");
+  }
+
+  try {
+    await assertListedLocations(admin, locationIds);
+
+    const response = await admin.graphql(query, { variables: { id: companyLocationId } });
+    const result = await response.json();
+    const companyLocation = result.data?.companyLocation;
+    if (!companyLocation) {
+      throw new Error("Company location not found");
+    }
+
+    // A metafield's type can't change in place, so single value preferences are removed first
+    const metafield = { ownerId: companyLocation.id, key: "fulfillment_location" };
+    if (companyLocation.metafield && (locationIds.length === 0 || companyLocation.metafield.type !== LOCATION_PREFERENCE_TYPE)) {
+      await deletePreferenceMetafields(admin, [metafield]);
+    }
+    if (locationIds.length > 0) {
+      await setPreferenceMetafields(admin, [{
+        ...metafield,
+        namespace: APP_METAFIELD_NAMESPACE,
+        value: JSON.stringify(locationIds),
+        type: LOCATION_PREFERENCE_TYPE
+      }]);
+    }
+
+    await recordPreferenceChanges(audit, [{
+      customerId: companyLocation.id,
+      customerName: companyLocation.name,
+      key: "fulfillment_location",
+      oldValue: companyLocation.metafield?.value,
+      newValue: locationIds.length > 0 ? JSON.stringify(locationIds) : null
+    }]);
+
+    return { companyLocationId: companyLocation.id };
+  } catch (error) {
+    console.error("Error saving company location preferences:", error);
+    throw error;
+  }
+}
+
+/**
+ * Saves the preferences chosen on a draft order to its customer, through
+ * saveCustomerLocationPreferences, and copies the general list to the draft order
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} draftOrderId - The draft order whose customer to update
+ * @param {Object} preferences - { locationIds, methodLocationIds }, as for saveCustomerLocationPreferences
+ * @param {Object} audit - { shop, source, staffUserId } recorded with each change
+ * @returns {Promise<Object>} - { customerId, draftOrderId }
+ */
+export async function saveDraftOrderLocationPreferences(admin, draftOrderId, { locationIds, methodLocationIds }, audit) {
+  const query = `#graphql
+    query draftOrderPreferenceOwner($id: ID!) {
+      draftOrder(id: $id) {
+        id
+        metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+          type
+        }
+        customer {
+          id
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await admin.graphql(query, { variables: { id: draftOrderId } });
+    const result = await response.json();
+    const draftOrder = result.data?.draftOrder;
+    if (!draftOrder) {
+      throw new Error("Draft order not found");
+    }
+    if (!draftOrder.customer) {
+      throw new Error("No customer is attached to the draft order");
+    }
+
+    await saveCustomerLocationPreferences(admin, [{ customerId: draftOrder.customer.id, locationIds, methodLocationIds }], audit);
+
+    const draftOrderMetafield = { ownerId: draftOrder.id, key: "fulfillment_location" };
+    if (draftOrder.metafield && (locationIds.length === 0 || draftOrder.metafield.type !== LOCATION_PREFERENCE_TYPE)) {
+      await deletePreferenceMetafields(admin, [draftOrderMetafield]);
+    }
+    if (locationIds.length > 0) {
+      await setPreferenceMetafields(admin, [{
+        ...draftOrderMetafield,
+        namespace: APP_METAFIELD_NAMESPACE,
+        value: JSON.stringify(locationIds),
+        type: LOCATION_PREFERENCE_TYPE
+      }]);
+    }
+
+    return { customerId: draftOrder.customer.id, draftOrderId: draftOrder.id };
+  } catch (error) {
+    console.error("Error saving draft order location preferences:", error);
+    throw error;
+  }
+}
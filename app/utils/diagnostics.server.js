@@ -0,0 +1,137 @@
+/**
+ * Utility functions for checking that the app is set up correctly on a store
+ */
+
+import { getAppLocationListStatus, getStoreLocations } from "./appMetafields.server";
+import { getCustomersWithLocationPreference } from "./customerPreferences.server";
+import {
+  DELIVERY_METHOD_TYPES,
+  getFulfillmentConstraintRule,
+  getFulfillmentConstraintsFunctionId
+} from "./fulfillmentConstraints.server";
+import { parseLocationPreference } from "./locationList";
+
+// Scopes the app can't work without
+export const REQUIRED_SCOPES = ["write_customers", "write_draft_orders"];
+
+/**
+ * Checks that the fulfillment constraints function is deployed
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object>} - The check result
+ */
+async function checkFunction(admin) {
+  try {
+    const functionId = await getFulfillmentConstraintsFunctionId(admin);
+    return { id: "function", status: "pass", detail: `Deployed as ${functionId}` };
+  } catch (error) {
+    return { id: "function", status: "fail", detail: error.message };
+  }
+}
+
+/**
+ * Checks that a rule runs the function, and which delivery methods it covers
+ * @param {Object} admin - Shopify Admin API client
+ * @param {boolean} isFunctionDeployed - Whether the function check passed
+ * @returns {Promise<Object>} - The check result
+ */
+async function checkRule(admin, isFunctionDeployed) {
+  if (!isFunctionDeployed) {
+    return { id: "rule", status: "fail", detail: "The rule can't be registered until the function is deployed" };
+  }
+
+  const rule = await getFulfillmentConstraintRule(admin);
+  if (!rule) {
+    return { id: "rule", status: "fail", detail: "No fulfillment constraint rule runs the function", fix: "registerRule" };
+  }
+
+  // Leaving some delivery methods out is a choice staff make on the home page
+  const missingTypes = DELIVERY_METHOD_TYPES.filter(type => !rule.deliveryMethodTypes.includes(type));
+  return {
+    id: "rule",
+    status: rule.deliveryMethodTypes.length === 0 ? "warning" : "pass",
+    detail: `Covers ${rule.deliveryMethodTypes.join(", ") || "no delivery methods"}` +
+      (missingTypes.length > 0 ? `; not ${missingTypes.join(", ")}` : ""),
+    deliveryMethodTypes: rule.deliveryMethodTypes
+  };
+}
+
+/**
+ * Checks that the app location list metafield matches the store locations
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object>} - The check result
+ */
+async function checkLocationList(admin) {
+  const status = await getAppLocationListStatus(admin);
+  const details = {
+    missing: "The location list has not been set up",
+    outdated: "The location list uses an older format",
+    changed: "Locations have changed since the list was last updated"
+  };
+
+  return status.isCurrent
+    ? { id: "locationList", status: "pass", detail: `Lists ${status.locationCount} locations` }
+    : { id: "locationList", status: "fail", detail: details[status.reason], fix: "syncLocationList" };
+}
+
+/**
+ * Checks that the merchant granted the scopes the app needs
+ * @param {Object} scopes - The scopes API from authenticate.admin
+ * @returns {Promise<Object>} - The check result
+ */
+async function checkScopes(scopes) {
+  const { granted } = await scopes.query();
+  const missingScopes = REQUIRED_SCOPES.filter(scope => !granted.includes(scope));
+
+  return missingScopes.length > 0
+    ? { id: "scopes", status: "fail", detail: `Missing ${missingScopes.join(", ")}`, fix: "requestScopes", missingScopes }
+    : { id: "scopes", status: "pass", detail: `Granted ${REQUIRED_SCOPES.join(", ")}` };
+}
+
+/**
+ * Counts customers whose preference includes something other than an active
+ * location, such as a deleted location's ID or a location name. Large stores
+ * are only checked as far as getCustomersWithLocationPreference reads in one call.
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object>} - The check result
+ */
+async function checkCustomerPreferences(admin) {
+  const [{ customers, readCount, hasNextPage }, storeLocations] = await Promise.all([
+    getCustomersWithLocationPreference(admin),
+    getStoreLocations(admin)
+  ]);
+  const locationIds = new Set(storeLocations.map(location => location.id));
+
+  const unknownCount = customers.filter(customer =>
+    parseLocationPreference(customer.value).some(value => !locationIds.has(value))
+  ).length;
+
+  const checked = hasNextPage ? ` among the first ${readCount} customers` : "";
+  return unknownCount > 0
+    ? { id: "customerPreferences", status: "warning", detail: `${unknownCount} customers${checked} prefer a location that is not active`, fix: "remapPreferences" }
+    : { id: "customerPreferences", status: "pass", detail: `All ${customers.length} customer preferences${checked} point at active locations` };
+}
+
+/**
+ * Runs every setup check. A check that can't run is reported as failed rather than thrown.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} scopes - The scopes API from authenticate.admin
+ * @returns {Promise<Array>} - Array of { id, status, detail, fix } objects, where status is
+ *   "pass", "warning" or "fail" and fix names the action that repairs a failing check
+ */
+export async function runSetupDiagnostics(admin, scopes) {
+  const guard = (id, check) => check.catch(error => {
+    console.error(`Setup check ${id} failed to run:`, error);
+    return { id, status: "fail", detail: `Check failed: ${error.message}` };
+  });
+
+  const functionCheck = await guard("function", checkFunction(admin));
+  return [
+    functionCheck,
+    ...(await Promise.all([
+      guard("rule", checkRule(admin, functionCheck.status === "pass")),
+      guard("locationList", checkLocationList(admin)),
+      guard("scopes", checkScopes(scopes)),
+      guard("customerPreferences", checkCustomerPreferences(admin))
+    ]))
+  ];
+}
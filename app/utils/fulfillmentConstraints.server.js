@@ -2,12 +2,15 @@
  * Utility functions for managing fulfillment constraint rules
  */
 
+// Delivery method types a rule can cover; new rules cover all of them
+export const DELIVERY_METHOD_TYPES = ["SHIPPING", "LOCAL", "PICK_UP"];
+
 /**
  * Gets the fulfillment constraints function ID by querying shopifyFunctions
  * @param {Object} admin - Shopify Admin API client
  * @returns {Promise<string>} - The function ID
  */
-async function getFulfillmentConstraintsFunctionId(admin) {
+export async function getFulfillmentConstraintsFunctionId(admin) {
   console.log("Querying shopifyFunctions to find location-selector fulfillment constraints function...");
   
   const query = `#graphql
@@ -75,9 +78,10 @@ async function getFulfillmentConstraintsFunctionId(admin) {
 /**
  * Creates a fulfillment constraint rule for the location selector function
  * @param {Object} admin - Shopify Admin API client
+ * @param {Array<string>} [deliveryMethodTypes] - The delivery method types the rule covers
  * @returns {Promise<Object>} - The result of the fulfillmentConstraintRuleCreate mutation
  */
-export async function createFulfillmentConstraintRule(admin) {
+export async function createFulfillmentConstraintRule(admin, deliveryMethodTypes = DELIVERY_METHOD_TYPES) {
   // Get the dynamic function ID
   const FUNCTION_ID = await getFulfillmentConstraintsFunctionId(admin);
   console.log("Creating fulfillment constraint rule for function:", FUNCTION_ID);
@@ -87,6 +91,7 @@ export async function createFulfillmentConstraintRule(admin) {
       fulfillmentConstraintRuleCreate(functionId: $functionId, deliveryMethodTypes: $deliveryMethodTypes) {
         fulfillmentConstraintRule {
           id
+          deliveryMethodTypes
         }
         userErrors {
           field
@@ -98,7 +103,7 @@ export async function createFulfillmentConstraintRule(admin) {
 
   const variables = {
     functionId: FUNCTION_ID,
-    deliveryMethodTypes: ["SHIPPING", "LOCAL", "PICK_UP"]
+    deliveryMethodTypes
   };
 
   try {
@@ -118,6 +123,64 @@ export async function createFulfillmentConstraintRule(admin) {
   }
 }
 
+/**
+ * Changes which delivery method types the registered rule covers, keeping the rule
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<string>} deliveryMethodTypes - The delivery method types the rule should cover
+ * @returns {Promise<Object>} - The updated rule
+ */
+export async function updateFulfillmentConstraintRuleDeliveryMethodTypes(admin, deliveryMethodTypes) {
+  const unknownTypes = deliveryMethodTypes.filter(type => !DELIVERY_METHOD_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    throw new Error(`Unknown delivery method types: ${unknownTypes.join(", ")}`);
+  }
+  if (deliveryMethodTypes.length === 0) {
+    throw new Error("The rule must cover at least one delivery method");
+  }
+
+  const mutation = `#graphql
+    mutation fulfillmentConstraintRuleUpdate($id: ID!, $deliveryMethodTypes: [DeliveryMethodType!]!) {
+      fulfillmentConstraintRuleUpdate(id: $id, deliveryMethodTypes: $deliveryMethodTypes) {
+        fulfillmentConstraintRule {
+          id
+          deliveryMethodTypes
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  try {
+    const existingRule = await getFulfillmentConstraintRule(admin);
+    if (!existingRule) {
+      throw new Error("No fulfillment constraint rule is registered");
+    }
+
+    const variables = {
+      id: existingRule.id,
+      // Keep the order the types are listed in, whatever order they were picked in
+      deliveryMethodTypes: DELIVERY_METHOD_TYPES.filter(type => deliveryMethodTypes.includes(type))
+    };
+
+    const response = await admin.graphql(mutation, { variables });
+    const result = await response.json();
+
+    if (result.data?.fulfillmentConstraintRuleUpdate?.userErrors?.length > 0) {
+      console.error("Errors updating fulfillment constraint rule:", result.data.fulfillmentConstraintRuleUpdate.userErrors);
+      throw new Error(`Failed to update fulfillment constraint rule: ${result.data.fulfillmentConstraintRuleUpdate.userErrors.map(e => e.message).join(', ')}`);
+    }
+
+    console.log("Successfully updated fulfillment constraint rule:", result.data?.fulfillmentConstraintRuleUpdate?.fulfillmentConstraintRule);
+    return result.data?.fulfillmentConstraintRuleUpdate?.fulfillmentConstraintRule;
+  } catch (error) {
+    console.error("Error updating fulfillment constraint rule:", error);
+    throw error;
+  }
+}
+
 /**
  * Checks if a fulfillment constraint rule already exists for our function
  * @param {Object} admin - Shopify Admin API client
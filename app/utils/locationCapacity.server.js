@@ -0,0 +1,182 @@
+/**
+ * Utility functions for tracking daily order counts against location capacity caps
+ */
+
+import db from "../db.server";
+import { getStoreLocations } from "./appMetafields.server";
+import { getFulfillmentConstraintRule } from "./fulfillmentConstraints.server";
+import { getRuleConfiguration, publishRuleConfiguration } from "./ruleConfiguration.server";
+
+/**
+ * Gets the capacity limits from the rule configuration
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Array>} - Array of { locationId, dailyOrderCap, fallbackLocationId } objects
+ */
+async function getCapacityLimits(admin) {
+  const rule = await getFulfillmentConstraintRule(admin);
+  if (!rule) {
+    return [];
+  }
+
+  const configuration = await getRuleConfiguration(admin, rule.id);
+  return configuration.capacityLimits;
+}
+
+/**
+ * Gets today's date in the shop's time zone
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<string>} - The date as YYYY-MM-DD
+ */
+export async function getShopToday(admin) {
+  const query = `#graphql
+    query shopTimezone {
+      shop {
+        ianaTimezone
+      }
+    }
+  `;
+
+  const response = await admin.graphql(query);
+  const result = await response.json();
+  const timeZone = result.data?.shop?.ianaTimezone || "UTC";
+
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date());
+}
+
+/**
+ * Gets the locations an order's fulfillment orders are assigned to
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} orderId - The order GID
+ * @returns {Promise<Array<string>>} - The assigned location IDs, without duplicates
+ */
+async function getOrderLocationIds(admin, orderId) {
+  const query = `#graphql
+    query orderAssignedLocations($id: ID!) {
+      order(id: $id) {
+        fulfillmentOrders(first: 20) {
+          nodes {
+            assignedLocation {
+              location {
+                id
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(query, { variables: { id: orderId } });
+  const result = await response.json();
+
+  const locationIds = (result.data?.order?.fulfillmentOrders?.nodes || [])
+    .map(fulfillmentOrder => fulfillmentOrder.assignedLocation?.location?.id)
+    .filter(Boolean);
+
+  return [...new Set(locationIds)];
+}
+
+/**
+ * Counts a new order against the daily caps of the locations it was assigned to,
+ * and publishes a flag for any location that has reached its cap. Safe to call
+ * more than once for the same order, as webhooks can be delivered again.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @param {Object} order - The orders/create webhook payload
+ * @returns {Promise<Array>} - Array of { locationId, orderCount, dailyOrderCap } for capped locations
+ */
+export async function recordOrderForCapacity(admin, shop, order) {
+  const rule = await getFulfillmentConstraintRule(admin);
+  if (!rule) {
+    return [];
+  }
+
+  const { capacityLimits } = await getRuleConfiguration(admin, rule.id);
+  if (capacityLimits.length === 0) {
+    return [];
+  }
+
+  // created_at carries the shop's UTC offset, so its date part is the shop date
+  const date = String(order.created_at).slice(0, 10);
+  const orderId = order.admin_graphql_api_id;
+  const locationIds = await getOrderLocationIds(admin, orderId);
+
+  const counts = [];
+  const fullLocationIds = [];
+  for (const locationId of locationIds) {
+    const limit = capacityLimits.find(entry => entry.locationId === locationId);
+    if (!limit) {
+      continue;
+    }
+
+    await db.locationOrder.upsert({
+      where: { shop_orderId_locationId: { shop, orderId, locationId } },
+      create: { shop, orderId, locationId, date },
+      update: {},
+    });
+
+    const orderCount = await db.locationOrder.count({ where: { shop, locationId, date } });
+    console.log(`Location ${locationId} has ${orderCount} of ${limit.dailyOrderCap} orders on ${date}`);
+
+    if (orderCount >= limit.dailyOrderCap) {
+      fullLocationIds.push(locationId);
+    }
+
+    counts.push({ locationId, orderCount, dailyOrderCap: limit.dailyOrderCap });
+  }
+
+  // Only the current day's orders are needed to enforce the caps
+  await db.locationOrder.deleteMany({ where: { shop, date: { lt: date } } });
+
+  // The published configuration flags locations from these counts, and is
+  // left as it is when the flags are already there
+  if (fullLocationIds.length > 0) {
+    await publishRuleConfiguration(admin, shop, rule.id);
+  }
+
+  return counts;
+}
+
+/**
+ * Gets today's order count for each location with a daily cap
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - Array of { locationId, locationName, orderCount, dailyOrderCap, fallbackLocationName, isOverCapacity }
+ */
+export async function getLocationCapacityStatus(admin, shop) {
+  const capacityLimits = await getCapacityLimits(admin);
+  if (capacityLimits.length === 0) {
+    return [];
+  }
+
+  const [today, storeLocations] = await Promise.all([
+    getShopToday(admin),
+    getStoreLocations(admin),
+  ]);
+  const locationNames = new Map(storeLocations.map(loc => [loc.id, loc.name]));
+
+  const counts = await db.locationOrder.groupBy({
+    by: ["locationId"],
+    where: { shop, date: today },
+    _count: { _all: true },
+  });
+  const orderCounts = new Map(counts.map(count => [count.locationId, count._count._all]));
+
+  return capacityLimits.map(limit => {
+    const orderCount = orderCounts.get(limit.locationId) || 0;
+    return {
+      locationId: limit.locationId,
+      locationName: locationNames.get(limit.locationId) || limit.locationId,
+      orderCount,
+      dailyOrderCap: limit.dailyOrderCap,
+      fallbackLocationName: locationNames.get(limit.fallbackLocationId) || limit.fallbackLocationId,
+      isOverCapacity: orderCount >= limit.dailyOrderCap,
+    };
+  });
+}
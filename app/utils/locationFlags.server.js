@@ -0,0 +1,253 @@
+/**
+ * Utility functions for flagging the customers who prefer a location that was
+ * deactivated or deleted
+ */
+
+import db from "../db.server";
+import { getBulkOperation, getBulkOperationResults, runBulkQuery } from "./bulkOperations.server";
+import {
+  getCompanyLocationsWithLocationPreference,
+  LOCATION_UNAVAILABLE_TAG,
+  parseDeliveryMethodPreferences,
+} from "./customerPreferences.server";
+import { parseLocationPreference } from "./locationList";
+import { DELIVERY_METHOD_PREFERENCES_KEY } from "./metafieldDefinitions.server";
+import { APP_METAFIELD_NAMESPACE } from "./metafieldNamespaces";
+
+// A failed run is retried with the next one until a location has been tried this often
+const MAX_FLAG_ATTEMPTS = 3;
+
+// How many flags the home page lists
+const RECENT_FLAG_COUNT = 10;
+
+// Reads every customer's preferences. Bulk queries have no page size or cost limit.
+const CUSTOMER_PREFERENCES_BULK_QUERY = `{
+  customers {
+    edges {
+      node {
+        id
+        metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+          value
+        }
+        methodPreferences: metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "${DELIVERY_METHOD_PREFERENCES_KEY}") {
+          jsonValue
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * Queues a location whose customers should be flagged
+ * @param {string} shop - The shop domain
+ * @param {string} locationId - The location that is no longer available
+ * @returns {Promise<Object>} - The saved flag, with status "pending"
+ */
+export async function queueLocationFlag(shop, locationId) {
+  return db.locationFlag.create({
+    data: { shop, locationId, status: "pending" }
+  });
+}
+
+/**
+ * Starts a bulk query for the queued locations, unless one is already running.
+ * A run whose finish webhook never arrived is picked up here instead.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The started bulk operation, or null if none was started
+ */
+export async function startLocationFlagging(admin, shop) {
+  const running = await db.locationFlag.findFirst({ where: { shop, status: "running" } });
+  if (running) {
+    const bulkOperation = await getBulkOperation(admin, running.bulkOperationId);
+    if (bulkOperation?.status === "CREATED" || bulkOperation?.status === "RUNNING") {
+      console.log(`Flagging for ${shop} is already running as ${running.bulkOperationId}`);
+      return null;
+    }
+    // finishLocationFlagging starts the next run itself
+    await finishLocationFlagging(admin, shop, running.bulkOperationId, bulkOperation);
+    return null;
+  }
+
+  const pending = await db.locationFlag.findMany({ where: { shop, status: "pending" } });
+  if (pending.length === 0) {
+    return null;
+  }
+
+  let bulkOperation;
+  try {
+    bulkOperation = await runBulkQuery(admin, CUSTOMER_PREFERENCES_BULK_QUERY);
+  } catch (error) {
+    // Only one bulk query runs at a time, so the locations wait for the next run
+    console.error(`Could not start flagging for ${shop}:`, error);
+    return null;
+  }
+
+  await db.locationFlag.updateMany({
+    where: { id: { in: pending.map(flag => flag.id) } },
+    data: { status: "running", bulkOperationId: bulkOperation.id, attempts: { increment: 1 } }
+  });
+  return bulkOperation;
+}
+
+/**
+ * Tags the customers found by a finished flagging run and records the company
+ * locations that prefer the same locations, then starts the next run for any
+ * locations queued meanwhile. Bulk operations the app did not start for
+ * flagging are ignored. A failed run is saved on its flags with the error, and
+ * is tried again with the next run or from the home page.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @param {string} bulkOperationId - The finished bulk operation GID
+ * @param {Object} [bulkOperation] - The bulk operation, if already fetched
+ * @returns {Promise<void>}
+ */
+export async function finishLocationFlagging(admin, shop, bulkOperationId, bulkOperation) {
+  const flags = await db.locationFlag.findMany({
+    where: { shop, bulkOperationId, status: "running" }
+  });
+  if (flags.length === 0) {
+    return;
+  }
+
+  try {
+    const finished = bulkOperation || await getBulkOperation(admin, bulkOperationId);
+    if (finished?.status !== "COMPLETED") {
+      throw new Error(`Bulk query ended as ${finished?.status || "unknown"}${finished?.errorCode ? ` (${finished.errorCode})` : ""}`);
+    }
+
+    const customers = await getBulkOperationResults(finished);
+    const locationIds = new Set(flags.map(flag => flag.locationId));
+    const flaggedCounts = new Map();
+
+    for (const customer of customers) {
+      const preferences = new Set([
+        ...parseLocationPreference(customer.metafield?.value),
+        ...Object.values(parseDeliveryMethodPreferences(customer.methodPreferences?.jsonValue)).flat()
+      ]);
+      const removed = [...preferences].filter(locationId => locationIds.has(locationId));
+      if (removed.length === 0) {
+        continue;
+      }
+
+      await tagCustomer(admin, customer.id);
+      for (const locationId of removed) {
+        flaggedCounts.set(locationId, (flaggedCounts.get(locationId) || 0) + 1);
+      }
+    }
+
+    // Company locations can't be tagged, so they are listed with the flag instead
+    const companyLocationsById = new Map();
+    let after = null;
+    let hasNextPage = true;
+    while (hasNextPage) {
+      const page = await getCompanyLocationsWithLocationPreference(admin, after);
+      for (const companyLocation of page.companyLocations) {
+        for (const locationId of parseLocationPreference(companyLocation.value).filter(id => locationIds.has(id))) {
+          const flagged = companyLocationsById.get(locationId) || [];
+          companyLocationsById.set(locationId, [...flagged, { id: companyLocation.id, name: companyLocation.name }]);
+        }
+      }
+      after = page.endCursor;
+      hasNextPage = page.hasNextPage;
+    }
+
+    for (const flag of flags) {
+      await db.locationFlag.update({
+        where: { id: flag.id },
+        data: {
+          status: "completed",
+          error: null,
+          flaggedCount: flaggedCounts.get(flag.locationId) || 0,
+          companyLocations: JSON.stringify(companyLocationsById.get(flag.locationId) || [])
+        }
+      });
+    }
+    console.log(`Flagged customers for ${shop}:`, Object.fromEntries(flaggedCounts));
+  } catch (error) {
+    console.error(`Flagging failed for ${shop}:`, error);
+    for (const flag of flags) {
+      await db.locationFlag.update({
+        where: { id: flag.id },
+        data: {
+          status: flag.attempts < MAX_FLAG_ATTEMPTS ? "pending" : "failed",
+          bulkOperationId: null,
+          error: error.message
+        }
+      });
+    }
+  }
+
+  await startLocationFlagging(admin, shop);
+}
+
+/**
+ * Starts flagging again for locations whose flagging failed too often to be
+ * retried with the next run
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The started bulk operation, or null if none was started
+ */
+export async function retryLocationFlagging(admin, shop) {
+  await db.locationFlag.updateMany({
+    where: { shop, status: "failed" },
+    data: { status: "pending", attempts: 0 }
+  });
+  return startLocationFlagging(admin, shop);
+}
+
+/**
+ * Gets the most recent flags for a shop, so staff can see which customers and
+ * company locations were flagged and retry failed runs
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - Array of { id, locationId, status, flaggedCount, companyLocations,
+ *   error, attempts, updatedAt } objects, newest first, where companyLocations is an array of
+ *   { id, name } objects
+ */
+export async function getLocationFlagStatus(shop) {
+  const flags = await db.locationFlag.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: RECENT_FLAG_COUNT
+  });
+
+  return flags.map(flag => ({
+    id: flag.id,
+    locationId: flag.locationId,
+    status: flag.status,
+    flaggedCount: flag.flaggedCount,
+    companyLocations: flag.companyLocations ? JSON.parse(flag.companyLocations) : [],
+    error: flag.error,
+    attempts: flag.attempts,
+    updatedAt: flag.updatedAt
+  }));
+}
+
+/**
+ * Adds the location unavailable tag to a customer
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} customerId - The customer GID
+ * @returns {Promise<void>}
+ */
+async function tagCustomer(admin, customerId) {
+  const mutation = `#graphql
+    mutation tagsAdd($id: ID!, $tags: [String!]!) {
+      tagsAdd(id: $id, tags: $tags) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(mutation, {
+    variables: { id: customerId, tags: [LOCATION_UNAVAILABLE_TAG] }
+  });
+  const result = await response.json();
+
+  if (result.data?.tagsAdd?.userErrors?.length > 0) {
+    console.error("Errors tagging customer:", result.data.tagsAdd.userErrors);
+    throw new Error(`Failed to tag customer: ${result.data.tagsAdd.userErrors.map(e => e.message).join(', ')}`);
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Reader and writer for the `fulfillment_location_list` app metafield, and for the
+ * ordered location preferences staff pick from it.
+ *
+ * This module has no server-only dependencies so that the admin extensions can
+ * import it too; every consumer of the list should go through `parseLocationList`.
+ *
+ * Version 3 (current):
+ *   { "version": 3, "curated": boolean, "locations": [{ id, name, label, address, city, country, localPickup }] }
+ *   A curated list holds only the locations the merchant picked, in their order,
+ *   with an optional customer-facing label. An uncurated list holds every active location.
+ * Version 2:
+ *   { "version": 2, "locations": [{ id, name, address, city, country, localPickup }] }
+ * Version 1 (location IDs, before full metadata was stored):
+ *   [{ id, name }]
+ * Older name-only lists carry no IDs and are read as empty.
+ */
+
+export const LOCATION_LIST_VERSION = 3;
+
+/**
+ * Fills in a location list entry, keeping only the fields the schema defines
+ * @param {Object} entry - A stored or freshly fetched location entry
+ * @returns {Object} - The entry in the current schema
+ */
+export function normalizeLocationListEntry(entry) {
+  return {
+    id: entry.id,
+    name: String(entry.name || ""),
+    label: String(entry.label || "").trim(),
+    address: entry.address || "",
+    city: entry.city || "",
+    country: entry.country || "",
+    localPickup: entry.localPickup === true,
+  };
+}
+
+/**
+ * Reads a stored location list value of any known version
+ * @param {string|null|undefined} value - The metafield value
+ * @returns {{ version: number|null, curated: boolean, locations: Array }} - The version the value
+ *   was stored with (null when it could not be read), whether the merchant curated it,
+ *   and its entries in the current schema
+ */
+export function parseLocationList(value) {
+  if (!value) {
+    return { version: null, curated: false, locations: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (parseError) {
+    console.error("Error parsing location list:", parseError);
+    return { version: null, curated: false, locations: [] };
+  }
+
+  const isVersioned = parsed && !Array.isArray(parsed) && Number.isInteger(parsed.version);
+  const entries = isVersioned ? parsed.locations : parsed;
+  if (!Array.isArray(entries)) {
+    return { version: null, curated: false, locations: [] };
+  }
+
+  return {
+    version: isVersioned ? parsed.version : 1,
+    curated: isVersioned && parsed.curated === true,
+    locations: entries
+      .filter(entry => typeof entry?.id === "string" && entry.id !== "")
+      .map(normalizeLocationListEntry),
+  };
+}
+
+/**
+ * Builds the stored value for a location list in the current schema
+ * @param {Array} locations - The location entries
+ * @param {boolean} [curated] - Whether the merchant picked the entries
+ * @returns {string} - The metafield value
+ */
+export function serializeLocationList(locations, curated = false) {
+  return JSON.stringify({
+    version: LOCATION_LIST_VERSION,
+    curated,
+    locations: locations.map(normalizeLocationListEntry),
+  });
+}
+
+/**
+ * Gets the name staff and customers see for a location list entry
+ * @param {Object} entry - A location list entry
+ * @returns {string} - The custom label, or the location name
+ */
+export function getLocationListLabel(entry) {
+  return entry.label || entry.name;
+}
+
+/**
+ * Parses a stored preference value into an ordered list of locations.
+ * Older preferences hold a single location name or ID rather than a list.
+ * @param {string|null|undefined} value - The stored preference value
+ * @returns {Array<string>} - The preferred location values, most preferred first
+ */
+export function parseLocationPreference(value) {
+  if (!value) {
+    return [];
+  }
+
+  if (value.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed.filter(entry => typeof entry === "string") : [];
+    } catch (parseError) {
+      console.log("Error parsing location preference:", parseError);
+      return [];
+    }
+  }
+
+  return [value];
+}
+
+/**
+ * Adds a location to the end of a preference list
+ * @param {Array<string>} locationIds - The preference, most preferred first
+ * @param {string} locationId - The location to add
+ * @returns {Array<string>} - The new list, unchanged when the location is already in it
+ */
+export function addPreferredLocation(locationIds, locationId) {
+  return locationId && !locationIds.includes(locationId) ? [...locationIds, locationId] : locationIds;
+}
+
+/**
+ * Removes a location from a preference list
+ * @param {Array<string>} locationIds - The preference, most preferred first
+ * @param {number} index - The position of the location to remove
+ * @returns {Array<string>} - The new list
+ */
+export function removePreferredLocation(locationIds, index) {
+  return locationIds.filter((_, i) => i !== index);
+}
+
+/**
+ * Swaps a location in a preference list with its neighbour
+ * @param {Array<string>} locationIds - The preference, most preferred first
+ * @param {number} index - The position of the location to move
+ * @param {number} direction - -1 to move it up, 1 to move it down
+ * @returns {Array<string>} - The new list, unchanged when the location is already at that end
+ */
+export function movePreferredLocation(locationIds, index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= locationIds.length) {
+    return locationIds;
+  }
+
+  const reordered = [...locationIds];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
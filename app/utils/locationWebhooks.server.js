@@ -0,0 +1,43 @@
+/**
+ * Handling for the locations/* webhooks, which keep the app location list in sync
+ */
+
+import { ensureAppLocationListMetafield } from "./appMetafields.server";
+import { getFulfillmentConstraintRule } from "./fulfillmentConstraints.server";
+import { queueLocationFlag, startLocationFlagging } from "./locationFlags.server";
+import { publishRuleConfiguration } from "./ruleConfiguration.server";
+
+// Topics after which customers preferring the location can no longer be routed there
+const LOCATION_REMOVED_TOPICS = ["LOCATIONS_DEACTIVATE", "LOCATIONS_DELETE"];
+
+/**
+ * Syncs the location list and the location names published to the function after
+ * a location changes, and queues flagging the customers who prefer a location that
+ * was deactivated or deleted
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @param {string} topic - The webhook topic, such as LOCATIONS_UPDATE
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<void>}
+ */
+export async function handleLocationWebhook(admin, shop, topic, payload) {
+  // The flag is queued before anything that can fail, so a failed sync can't lose it.
+  // It is flagged once the location list is up to date.
+  const isRemoved = LOCATION_REMOVED_TOPICS.includes(topic);
+  if (isRemoved) {
+    // Delete payloads only carry the numeric ID
+    await queueLocationFlag(shop, payload.admin_graphql_api_id || `gid://shopify/Location/${payload.id}`);
+  }
+
+  const { wasUpdated } = await ensureAppLocationListMetafield(admin);
+  console.log(`Location list ${wasUpdated ? "updated" : "already up to date"} after ${topic}`);
+
+  if (isRemoved) {
+    await startLocationFlagging(admin, shop);
+  }
+
+  const rule = await getFulfillmentConstraintRule(admin);
+  if (rule) {
+    await publishRuleConfiguration(admin, shop, rule.id);
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Utility functions for managing the customer preference metafield definitions
+ */
+
+import { DELIVERY_METHOD_TYPES } from "./fulfillmentConstraints.server";
+import { APP_METAFIELD_NAMESPACE } from "./metafieldNamespaces";
+
+// Optional per delivery method preferences share one JSON metafield, keyed by delivery
+// method type, so the function input query reads them with a single field
+export const DELIVERY_METHOD_PREFERENCES_KEY = "fulfillment_location_methods";
+
+// The general preference and the per delivery method preferences. Each limits its
+// values to the location list: list metafields through choices, JSON through a schema.
+const CUSTOMER_PREFERENCE_DEFINITIONS = [
+  {
+    key: "fulfillment_location",
+    name: "Preferred fulfillment locations",
+    type: "list.single_line_text_field",
+    description: "Location IDs, most preferred first. Maintained by the location selector app.",
+    toValidation: (locationIds) => ({ name: "choices", value: JSON.stringify(locationIds) })
+  },
+  {
+    key: DELIVERY_METHOD_PREFERENCES_KEY,
+    name: "Preferred locations by delivery method",
+    type: "json",
+    description: "Location IDs by delivery method type, most preferred first. Maintained by the location selector app.",
+    toValidation: (locationIds) => ({
+      name: "schema",
+      value: JSON.stringify({
+        type: "object",
+        properties: Object.fromEntries(DELIVERY_METHOD_TYPES.map(method => [
+          method,
+          { type: "array", items: { type: "string", enum: locationIds } }
+        ])),
+        additionalProperties: false
+      })
+    })
+  }
+];
+
+// Only the app writes preferences; staff can read them in the admin, themes may show a
+// signed-in customer their store, and customers may see but not change it
+const CUSTOMER_PREFERENCE_ACCESS = {
+  admin: "MERCHANT_READ",
+  storefront: "PUBLIC_READ",
+  customerAccount: "READ"
+};
+
+/**
+ * Gets the existing customer preference metafield definitions
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Map>} - Definitions by key, each with id, validations and access
+ */
+async function getCustomerPreferenceDefinitions(admin) {
+  const query = `#graphql
+    query customerPreferenceDefinitions($first: Int!, $namespace: String!) {
+      metafieldDefinitions(first: $first, ownerType: CUSTOMER, namespace: $namespace) {
+        nodes {
+          id
+          key
+          validations {
+            name
+            value
+          }
+          access {
+            admin
+            storefront
+            customerAccount
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(query, { variables: { first: 250, namespace: APP_METAFIELD_NAMESPACE } });
+  const result = await response.json();
+
+  return new Map((result.data?.metafieldDefinitions?.nodes || []).map(definition => [definition.key, definition]));
+}
+
+/**
+ * Creates or updates the customer preference metafield definitions so that their
+ * choices are the given locations
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<string>} locationIds - The location IDs customers may prefer, as in the location list
+ * @returns {Promise<Object>} - { createdKeys, updatedKeys }
+ */
+export async function ensureCustomerPreferenceDefinitions(admin, locationIds) {
+  const createMutation = `#graphql
+    mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        createdDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const updateMutation = `#graphql
+    mutation metafieldDefinitionUpdate($definition: MetafieldDefinitionUpdateInput!) {
+      metafieldDefinitionUpdate(definition: $definition) {
+        updatedDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  try {
+    const existingDefinitions = await getCustomerPreferenceDefinitions(admin);
+    const createdKeys = [];
+    const updatedKeys = [];
+
+    for (const { key, name, type, description, toValidation } of CUSTOMER_PREFERENCE_DEFINITIONS) {
+      const existing = existingDefinitions.get(key);
+      const validation = toValidation(locationIds);
+      const validations = [validation];
+
+      if (!existing) {
+        const response = await admin.graphql(createMutation, {
+          variables: {
+            definition: {
+              name,
+              namespace: APP_METAFIELD_NAMESPACE,
+              key,
+              ownerType: "CUSTOMER",
+              type,
+              description,
+              validations,
+              access: CUSTOMER_PREFERENCE_ACCESS
+            }
+          }
+        });
+        const result = await response.json();
+
+        if (result.data?.metafieldDefinitionCreate?.userErrors?.length > 0) {
+          console.error("Errors creating metafield definition:", result.data.metafieldDefinitionCreate.userErrors);
+          throw new Error(`Failed to create ${key} definition: ${result.data.metafieldDefinitionCreate.userErrors.map(e => e.message).join(', ')}`);
+        }
+
+        createdKeys.push(key);
+        continue;
+      }
+
+      const currentValidation = existing.validations.find(current => current.name === validation.name)?.value;
+      const isCurrent =
+        currentValidation === validation.value &&
+        existing.access?.admin === CUSTOMER_PREFERENCE_ACCESS.admin &&
+        existing.access?.storefront === CUSTOMER_PREFERENCE_ACCESS.storefront &&
+        existing.access?.customerAccount === CUSTOMER_PREFERENCE_ACCESS.customerAccount;
+      if (isCurrent) {
+        continue;
+      }
+
+      const response = await admin.graphql(updateMutation, {
+        variables: {
+          definition: {
+            namespace: APP_METAFIELD_NAMESPACE,
+            key,
+            ownerType: "CUSTOMER",
+            validations,
+            access: CUSTOMER_PREFERENCE_ACCESS
+          }
+        }
+      });
+      const result = await response.json();
+
+      if (result.data?.metafieldDefinitionUpdate?.userErrors?.length > 0) {
+        console.error("Errors updating metafield definition:", result.data.metafieldDefinitionUpdate.userErrors);
+        throw new Error(`Failed to update ${key} definition: ${result.data.metafieldDefinitionUpdate.userErrors.map(e => e.message).join(', ')}`);
+      }
+
+      updatedKeys.push(key);
+    }
+
+    if (createdKeys.length > 0 || updatedKeys.length > 0) {
+      console.log("Customer preference definitions created:", createdKeys, "updated:", updatedKeys);
+    }
+    return { createdKeys, updatedKeys };
+  } catch (error) {
+    console.error("Error ensuring customer preference definitions:", error);
+    throw error;
+  }
+}
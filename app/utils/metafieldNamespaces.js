@@ -0,0 +1,12 @@
+/**
+ * Metafield namespaces used by the app, its admin extensions and its function.
+ *
+ * This module has no server-only dependencies so that the admin extensions can import it too.
+ * Preferences and the location list live in the app-reserved namespace, which only this
+ * app can write. Older installs kept them in the shared `custom` namespace; those values
+ * are copied across by the preference migration and are no longer read otherwise.
+ */
+
+export const APP_METAFIELD_NAMESPACE = "$app:location-selector";
+
+export const LEGACY_METAFIELD_NAMESPACE = "custom";
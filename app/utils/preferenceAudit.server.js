@@ -0,0 +1,176 @@
+/**
+ * Utility functions for recording and reading the customer preference audit log
+ */
+
+import db from "../db.server";
+
+// Where a preference change was made
+export const PREFERENCE_CHANGE_SOURCES = {
+  DRAFT_ORDER_ACTION: "DRAFT_ORDER_ACTION",
+  COMPANY_LOCATION_BLOCK: "COMPANY_LOCATION_BLOCK",
+  CUSTOMERS_PAGE: "CUSTOMERS_PAGE",
+  CSV_IMPORT: "CSV_IMPORT",
+  LOCATION_REMAP: "LOCATION_REMAP",
+  API: "API"
+};
+
+// How many changes the log page shows at a time
+const PAGE_SIZE = 50;
+
+/**
+ * Records changes to customer preferences. Entries whose value did not change are skipped.
+ * @param {Object} audit - Who made the changes
+ * @param {string} audit.shop - The shop domain
+ * @param {string} audit.source - One of PREFERENCE_CHANGE_SOURCES
+ * @param {string|null} [audit.staffUserId] - The staff member, when the change came from the admin
+ * @param {Array} changes - Array of { customerId, customerName, key, oldValue, newValue } objects
+ * @param {Object} [client] - The Prisma client, or a transaction to record the changes in
+ * @returns {Promise<number>} - The number of changes recorded
+ */
+export async function recordPreferenceChanges({ shop, source, staffUserId = null }, changes, client = db) {
+  const data = changes
+    .filter(change => (change.oldValue || null) !== (change.newValue || null))
+    .map(change => ({
+      shop,
+      customerId: change.customerId,
+      customerName: change.customerName || null,
+      key: change.key || "fulfillment_location",
+      oldValue: change.oldValue || null,
+      newValue: change.newValue || null,
+      source,
+      staffUserId: staffUserId ? String(staffUserId) : null
+    }));
+
+  if (data.length === 0) {
+    return 0;
+  }
+
+  const result = await client.preferenceChange.createMany({ data });
+  console.log(`Recorded ${result.count} preference changes from ${source}`);
+  return result.count;
+}
+
+/**
+ * Keeps the changes a bulk operation is making until it has finished, when
+ * recordPendingPreferenceChanges adds the ones that were applied to the log
+ * @param {Object} audit - Who made the changes, as for recordPreferenceChanges
+ * @param {string} bulkOperationId - The bulk operation making the changes
+ * @param {Array} changes - Array of { customerId, customerName, key, oldValue, newValue } objects
+ * @returns {Promise<void>}
+ */
+export async function savePendingPreferenceChanges({ shop, source, staffUserId = null }, bulkOperationId, changes) {
+  await db.preferenceRemap.create({
+    data: {
+      bulkOperationId,
+      shop,
+      source,
+      staffUserId: staffUserId ? String(staffUserId) : null,
+      changes: JSON.stringify(changes)
+    }
+  });
+}
+
+/**
+ * Checks whether a bulk operation has changes waiting to be recorded
+ * @param {string} bulkOperationId - The bulk operation
+ * @returns {Promise<boolean>}
+ */
+export async function hasPendingPreferenceChanges(bulkOperationId) {
+  const pending = await db.preferenceRemap.findFirst({
+    where: { bulkOperationId, recordedAt: null },
+    select: { bulkOperationId: true }
+  });
+  return Boolean(pending);
+}
+
+/**
+ * Records the pending changes of a finished bulk operation for the customers it
+ * updated. Each operation's changes are only recorded once, however often it is checked.
+ * @param {string} bulkOperationId - The finished bulk operation
+ * @param {Array<string>} updatedCustomerIds - The customers the operation updated
+ * @returns {Promise<number>} - The number of changes recorded
+ */
+export async function recordPendingPreferenceChanges(bulkOperationId, updatedCustomerIds) {
+  // Claiming the row stops the finish webhook and a status check recording the changes
+  // twice, and doing it in one transaction with the insert keeps them if the insert fails
+  return db.$transaction(async tx => {
+    const claimed = await tx.preferenceRemap.updateMany({
+      where: { bulkOperationId, recordedAt: null },
+      data: { recordedAt: new Date() }
+    });
+    if (claimed.count === 0) {
+      return 0;
+    }
+
+    const pending = await tx.preferenceRemap.findUnique({ where: { bulkOperationId } });
+    const updated = new Set(updatedCustomerIds);
+    const changes = JSON.parse(pending.changes).filter(change => updated.has(change.customerId));
+
+    return recordPreferenceChanges(pending, changes, tx);
+  });
+}
+
+/**
+ * Gets the audit context for a request authenticated with authenticate.admin
+ * @param {Object} context - The authenticate.admin result
+ * @param {string} source - One of PREFERENCE_CHANGE_SOURCES
+ * @returns {Object} - { shop, source, staffUserId }
+ */
+export function getPreferenceAudit({ session, sessionToken }, source) {
+  return {
+    shop: session.shop,
+    source,
+    // The session token's subject is the staff member using the admin
+    staffUserId: sessionToken?.sub || session.onlineAccessInfo?.associated_user?.id || null
+  };
+}
+
+/**
+ * Lists recorded preference changes, newest first
+ * @param {string} shop - The shop domain
+ * @param {Object} [filters]
+ * @param {string} [filters.customer] - Part of a customer ID or name
+ * @param {string} [filters.source] - One of PREFERENCE_CHANGE_SOURCES
+ * @param {string} [filters.staffUserId] - The staff member
+ * @param {string} [filters.from] - Earliest date, as YYYY-MM-DD
+ * @param {string} [filters.to] - Latest date, as YYYY-MM-DD
+ * @param {number} [filters.page] - Page number, starting at 1
+ * @returns {Promise<Object>} - { changes, hasNextPage, staffUserIds }
+ */
+export async function getPreferenceChanges(shop, { customer = "", source = "", staffUserId = "", from = "", to = "", page = 1 } = {}) {
+  const createdAt = {
+    ...(from ? { gte: new Date(`${from}T00:00:00Z`) } : {}),
+    ...(to ? { lt: new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000) } : {})
+  };
+
+  const where = {
+    shop,
+    ...(source ? { source } : {}),
+    ...(staffUserId ? { staffUserId } : {}),
+    ...(from || to ? { createdAt } : {}),
+    ...(customer
+      ? { OR: [{ customerId: { contains: customer } }, { customerName: { contains: customer } }] }
+      : {})
+  };
+
+  const [changes, staffUsers] = await Promise.all([
+    // One extra row tells whether there is another page
+    db.preferenceChange.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      skip: (page - 1) * PAGE_SIZE,
+      take: PAGE_SIZE + 1
+    }),
+    db.preferenceChange.findMany({
+      where: { shop, staffUserId: { not: null } },
+      distinct: ["staffUserId"],
+      select: { staffUserId: true }
+    })
+  ]);
+
+  return {
+    changes: changes.slice(0, PAGE_SIZE),
+    hasNextPage: changes.length > PAGE_SIZE,
+    staffUserIds: staffUsers.map(staffUser => staffUser.staffUserId)
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Utility functions for setting the app up on a store when it is installed
+ */
+
+import db from "../db.server";
+import { ensureAppLocationListMetafield } from "./appMetafields.server";
+import { ensureFulfillmentConstraintRule } from "./fulfillmentConstraints.server";
+
+// Setup steps, in the order they run
+export const PROVISIONING_STEPS = ["locationList", "fulfillmentRule"];
+
+// What each step does
+const STEP_RUNNERS = {
+  locationList: (admin) => ensureAppLocationListMetafield(admin),
+  fulfillmentRule: (admin) => ensureFulfillmentConstraintRule(admin)
+};
+
+/**
+ * Runs one setup step and saves its outcome. A failing step is recorded rather than thrown.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @param {string} step - One of PROVISIONING_STEPS
+ * @returns {Promise<Object>} - The saved step, with status "succeeded" or "failed"
+ */
+export async function runProvisioningStep(admin, shop, step) {
+  if (!STEP_RUNNERS[step]) {
+    throw new Error(`Unknown setup step: ${step}`);
+  }
+
+  let status = "succeeded";
+  let error = null;
+  try {
+    await STEP_RUNNERS[step](admin);
+  } catch (stepError) {
+    console.error(`Setup step ${step} failed for ${shop}:`, stepError);
+    status = "failed";
+    error = stepError.message;
+  }
+
+  return db.provisioningStep.upsert({
+    where: { shop_step: { shop, step } },
+    create: { shop, step, status, error, attempts: 1 },
+    update: { status, error, attempts: { increment: 1 } }
+  });
+}
+
+/**
+ * Runs every setup step in order. Each step runs even when an earlier one failed,
+ * since neither depends on the other having succeeded.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - The saved steps
+ */
+export async function provisionShop(admin, shop) {
+  console.log("=== PROVISIONING SHOP ===", shop);
+
+  const steps = [];
+  for (const step of PROVISIONING_STEPS) {
+    steps.push(await runProvisioningStep(admin, shop, step));
+  }
+
+  console.log("Setup steps:", steps.map(step => `${step.step}: ${step.status}`).join(", "));
+  return steps;
+}
+
+/**
+ * Gets the outcome of every setup step for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - Array of { step, status, error, attempts, updatedAt } objects
+ *   in PROVISIONING_STEPS order, where a step that has not run yet has status "pending"
+ */
+export async function getProvisioningStatus(shop) {
+  const savedSteps = await db.provisioningStep.findMany({ where: { shop } });
+  const savedByStep = new Map(savedSteps.map(saved => [saved.step, saved]));
+
+  return PROVISIONING_STEPS.map(step => {
+    const saved = savedByStep.get(step);
+    return {
+      step,
+      status: saved?.status || "pending",
+      error: saved?.error || null,
+      attempts: saved?.attempts || 0,
+      updatedAt: saved?.updatedAt || null
+    };
+  });
+}
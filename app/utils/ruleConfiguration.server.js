@@ -0,0 +1,518 @@
+/**
+ * Utility functions for managing the fulfillment constraint rule configuration
+ */
+
+import db from "../db.server";
+import { getStoreLocations } from "./appMetafields.server";
+import { APP_METAFIELD_NAMESPACE } from "./metafieldNamespaces";
+
+// Staff edit the settings in one app-reserved metafield on the FulfillmentConstraintRule.
+// The app publishes them, with the values it derives such as capacity flags, to the
+// configuration metafield the function reads through `fulfillmentConstraintRule.metafield`.
+export const RULE_CONFIGURATION_NAMESPACE = APP_METAFIELD_NAMESPACE;
+export const RULE_SETTINGS_KEY = "rule_settings";
+export const RULE_CONFIGURATION_KEY = "function_configuration";
+
+// Times a publish is rebuilt when another one changed the configuration first
+const PUBLISH_ATTEMPTS = 3;
+
+// What the function does when a preferred location no longer exists
+export const NOT_FOUND_BEHAVIORS = ["SKIP", "USE_DEFAULT"];
+
+// Which lines the function asks to ship from a single location
+export const KEEP_TOGETHER_OPTIONS = ["NEVER", "WITHOUT_PREFERENCE", "ALWAYS"];
+
+export const DEFAULT_RULE_CONFIGURATION = {
+  enabled: true,
+  defaultLocationId: null,
+  notFoundBehavior: "SKIP",
+  zones: [],
+  rules: [],
+  locationHours: [],
+  closures: [],
+  capacityLimits: [],
+  keepTogether: "NEVER",
+};
+
+// Different packing windows the locations with hours can use
+const MAX_PACKING_WINDOWS = 2;
+
+// Days a location can be open, in the order they are stored
+const WEEKDAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+/**
+ * Turns a comma-separated string or an array into a trimmed, upper-cased list
+ * @param {Array<string>|string} value - The list as entered or stored
+ * @returns {Array<string>} - The list entries
+ */
+function toUpperCaseList(value) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(",");
+  return entries.map(entry => String(entry).trim().toUpperCase()).filter(entry => entry !== "");
+}
+
+/**
+ * Normalizes a geographic routing zone
+ * @param {Object} zone - The zone as entered in the settings page or stored
+ * @returns {Object} - The zone with list fields as arrays
+ */
+function normalizeZone(zone) {
+  return {
+    name: String(zone?.name || "").trim(),
+    countryCodes: toUpperCaseList(zone?.countryCodes),
+    provinceCodes: toUpperCaseList(zone?.provinceCodes),
+    postalCodes: toUpperCaseList(zone?.postalCodes).map(entry => entry.replace(/\s/g, "")),
+    locationId: zone?.locationId || null,
+  };
+}
+
+/**
+ * Normalizes a collection routing rule
+ * @param {Object} rule - The rule as entered in the settings page or stored
+ * @returns {Object} - The rule with its collections as an array
+ */
+function normalizeRule(rule) {
+  return {
+    name: String(rule?.name || "").trim(),
+    collections: Array.isArray(rule?.collections)
+      ? rule.collections
+        .filter(collection => collection?.id)
+        .map(collection => ({ id: collection.id, title: collection.title || "" }))
+      : [],
+    locationId: rule?.locationId || null,
+  };
+}
+
+/**
+ * Gets the distinct packing windows of the locations with hours, in the order
+ * they first appear. The function input query checks each window with its own
+ * `timeBetween` field, so locations share at most `MAX_PACKING_WINDOWS` of them.
+ * @param {Array} locationHours - The normalized location hours
+ * @returns {Array} - Array of { openingHour, cutoffHour } objects
+ */
+function getPackingWindows(locationHours) {
+  const packingWindows = [];
+  for (const { openingHour, cutoffHour } of locationHours) {
+    if (!packingWindows.some(entry => entry.openingHour === openingHour && entry.cutoffHour === cutoffHour)) {
+      packingWindows.push({ openingHour, cutoffHour });
+    }
+  }
+  return packingWindows;
+}
+
+/**
+ * Gets the `timeBetween` bounds for the packing windows, which end a second
+ * before the cutoff so that orders at the cutoff hour are diverted
+ * @param {Array} packingWindows - The distinct packing windows
+ * @returns {Object} - { packingStart, packingEnd, secondPackingStart, secondPackingEnd } as
+ *   HH:MM:SS times, for the windows there are
+ */
+function toPackingTimes(packingWindows) {
+  const pad = (hour) => String(hour).padStart(2, "0");
+  const [first, second] = packingWindows.map(({ openingHour, cutoffHour }) => ({
+    start: `${pad(Math.min(Math.max(openingHour, 0), 23))}:00:00`,
+    end: `${pad(Math.min(Math.max(cutoffHour, 1), 24) - 1)}:59:59`,
+  }));
+
+  return {
+    ...(first && { packingStart: first.start, packingEnd: first.end }),
+    ...(second && { secondPackingStart: second.start, secondPackingEnd: second.end }),
+  };
+}
+
+/**
+ * Normalizes a location's packing hours. The function only knows whether the
+ * shop's time is within a window, so opening and cutoff times are whole hours.
+ * @param {Object} hours - The hours as entered in the settings page or stored
+ * @returns {Object} - The hours with numeric opening and cutoff hours
+ */
+function normalizeLocationHours(hours) {
+  return {
+    locationId: hours?.locationId || null,
+    openDays: WEEKDAYS.filter(day => (hours?.openDays || []).includes(day)),
+    openingHour: Number.parseInt(hours?.openingHour, 10) || 0,
+    cutoffHour: Number.parseInt(hours?.cutoffHour, 10) || 0,
+    alternateLocationId: hours?.alternateLocationId || null,
+  };
+}
+
+/**
+ * Normalizes a temporary location closure
+ * @param {Object} closure - The closure as entered in the settings page or stored
+ * @returns {Object} - The closure with trimmed dates
+ */
+function normalizeClosure(closure) {
+  return {
+    locationId: closure?.locationId || null,
+    startDate: String(closure?.startDate || "").trim(),
+    endDate: String(closure?.endDate || "").trim(),
+    substituteLocationId: closure?.substituteLocationId || null,
+  };
+}
+
+/**
+ * Normalizes a location's daily order cap
+ * @param {Object} limit - The cap as entered in the settings page or stored
+ * @returns {Object} - The cap with a numeric order count
+ */
+function normalizeCapacityLimit(limit) {
+  return {
+    locationId: limit?.locationId || null,
+    dailyOrderCap: Number.parseInt(limit?.dailyOrderCap, 10) || 0,
+    fallbackLocationId: limit?.fallbackLocationId || null,
+  };
+}
+
+/**
+ * Fills in missing or invalid configuration values with their defaults
+ * @param {Object} configuration - A (possibly partial) rule configuration
+ * @returns {Object} - The complete rule configuration
+ */
+export function normalizeRuleConfiguration(configuration) {
+  const merged = { ...DEFAULT_RULE_CONFIGURATION, ...(configuration || {}) };
+  const rules = Array.isArray(merged.rules) ? merged.rules.map(normalizeRule) : [];
+
+  return {
+    ...merged,
+    enabled: merged.enabled !== false,
+    defaultLocationId: merged.defaultLocationId || null,
+    notFoundBehavior: NOT_FOUND_BEHAVIORS.includes(merged.notFoundBehavior)
+      ? merged.notFoundBehavior
+      : DEFAULT_RULE_CONFIGURATION.notFoundBehavior,
+    keepTogether: KEEP_TOGETHER_OPTIONS.includes(merged.keepTogether)
+      ? merged.keepTogether
+      : DEFAULT_RULE_CONFIGURATION.keepTogether,
+    zones: Array.isArray(merged.zones) ? merged.zones.map(normalizeZone) : [],
+    rules,
+    locationHours: Array.isArray(merged.locationHours)
+      ? merged.locationHours.map(normalizeLocationHours)
+      : [],
+    closures: Array.isArray(merged.closures) ? merged.closures.map(normalizeClosure) : [],
+    capacityLimits: Array.isArray(merged.capacityLimits)
+      ? merged.capacityLimits.map(normalizeCapacityLimit)
+      : [],
+  };
+}
+
+/**
+ * Builds the configuration the function reads from the rule settings
+ * @param {Object} configuration - A normalized rule configuration
+ * @param {Object} capacityReachedOn - The date each full location reached its cap, keyed by location ID
+ * @param {Array} storeLocations - Array of { id, name } location objects
+ * @returns {Object} - The configuration with its input query variables, capacity flags and location names
+ */
+function toFunctionConfiguration(configuration, capacityReachedOn, storeLocations) {
+  const packingWindows = getPackingWindows(configuration.locationHours);
+
+  return {
+    ...configuration,
+    capacityReachedOn,
+    // Preferences can still hold a location name from before they stored IDs.
+    // The input query can't afford location names, so the function looks them up
+    // here; the first location with a name wins, as it did when names were matched.
+    locationIdsByName: Object.fromEntries(storeLocations.map(loc => [loc.name, loc.id]).reverse()),
+    // The function input query reads this top-level list as the variable for
+    // `inCollections`, so it covers every rule's collections
+    collectionIds: [...new Set(configuration.rules.flatMap(rule => rule.collections.map(collection => collection.id)))],
+    // The function matches each location's hours to one of these windows, and the
+    // input query checks the shop's local time against them with `timeBetween`
+    packingWindows,
+    ...toPackingTimes(packingWindows),
+  };
+}
+
+/**
+ * Gets the date each capped location reached its cap, from the orders the
+ * orders/create webhook has counted. Only the latest day's orders are kept,
+ * so flags from earlier days drop out on their own.
+ * @param {string} shop - The shop domain
+ * @param {Array} capacityLimits - The normalized capacity limits
+ * @returns {Promise<Object>} - The flags, as { [locationId]: "YYYY-MM-DD" }
+ */
+async function getCapacityReachedOn(shop, capacityLimits) {
+  if (capacityLimits.length === 0) {
+    return {};
+  }
+
+  const dailyOrderCaps = new Map(capacityLimits.map(limit => [limit.locationId, limit.dailyOrderCap]));
+  const counts = await db.locationOrder.groupBy({
+    by: ["locationId", "date"],
+    where: { shop, locationId: { in: [...dailyOrderCaps.keys()] } },
+    _count: { _all: true },
+    orderBy: { date: "asc" },
+  });
+
+  return Object.fromEntries(counts
+    .filter(count => count._count._all >= dailyOrderCaps.get(count.locationId))
+    .map(count => [count.locationId, count.date]));
+}
+
+/**
+ * Checks a rule configuration against the store's current locations
+ * @param {Object} configuration - A normalized rule configuration
+ * @param {Array} storeLocations - Array of { id, name } location objects
+ * @returns {Array<string>} - Validation error messages, empty when valid
+ */
+export function validateRuleConfiguration(configuration, storeLocations) {
+  const errors = [];
+  const locationIds = new Set(storeLocations.map(loc => loc.id));
+
+  if (configuration.defaultLocationId && !locationIds.has(configuration.defaultLocationId)) {
+    errors.push("The default location is not an active store location");
+  }
+
+  if (configuration.notFoundBehavior === "USE_DEFAULT" && !configuration.defaultLocationId) {
+    errors.push("Choose a default location to use when the preferred location is not found");
+  }
+
+  configuration.zones.forEach((zone, index) => {
+    const label = zone.name || `Zone ${index + 1}`;
+
+    if (!zone.name) {
+      errors.push(`${label} needs a name`);
+    }
+    if (zone.countryCodes.length === 0) {
+      errors.push(`${label} needs at least one country code`);
+    }
+    const invalidCountryCodes = zone.countryCodes.filter(code => !/^[A-Z]{2}$/.test(code));
+    if (invalidCountryCodes.length > 0) {
+      errors.push(`${label} has invalid country codes: ${invalidCountryCodes.join(", ")}`);
+    }
+    const invalidPostalCodes = zone.postalCodes.filter(entry => {
+      const parts = entry.split("-");
+      return parts.length > 2 || parts.some(part => part === "");
+    });
+    if (invalidPostalCodes.length > 0) {
+      errors.push(`${label} has invalid postal codes: ${invalidPostalCodes.join(", ")}`);
+    }
+    if (!locationIds.has(zone.locationId)) {
+      errors.push(`${label} must be mapped to an active store location`);
+    }
+  });
+
+  configuration.rules.forEach((rule, index) => {
+    const label = rule.name || `Rule ${index + 1}`;
+
+    if (!rule.name) {
+      errors.push(`${label} needs a name`);
+    }
+    if (rule.collections.length === 0) {
+      errors.push(`${label} needs at least one collection`);
+    }
+    if (!locationIds.has(rule.locationId)) {
+      errors.push(`${label} must be mapped to an active store location`);
+    }
+  });
+
+  const locationNames = new Map(storeLocations.map(loc => [loc.id, loc.name]));
+  const locationsWithHours = new Set();
+  configuration.locationHours.forEach((hours, index) => {
+    const label = locationNames.get(hours.locationId) || `Location hours ${index + 1}`;
+
+    if (!locationIds.has(hours.locationId)) {
+      errors.push(`${label} must be an active store location`);
+    } else if (locationsWithHours.has(hours.locationId)) {
+      errors.push(`${label} has more than one set of hours`);
+    }
+    locationsWithHours.add(hours.locationId);
+
+    if (hours.openDays.length === 0) {
+      errors.push(`${label} needs at least one open day`);
+    }
+    if (hours.openingHour < 0 || hours.cutoffHour > 24 || hours.openingHour >= hours.cutoffHour) {
+      errors.push(`${label} must open before its cutoff time`);
+    }
+    if (!locationIds.has(hours.alternateLocationId)) {
+      errors.push(`${label} needs an active alternate location for orders outside its hours`);
+    } else if (hours.alternateLocationId === hours.locationId) {
+      errors.push(`${label} can't be its own alternate location`);
+    }
+  });
+
+  if (getPackingWindows(configuration.locationHours).length > MAX_PACKING_WINDOWS) {
+    errors.push(`Location hours can use at most ${MAX_PACKING_WINDOWS} different opening and cutoff times`);
+  }
+
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  configuration.closures.forEach((closure, index) => {
+    const label = `${locationNames.get(closure.locationId) || "Location"} closure ${index + 1}`;
+
+    if (!locationIds.has(closure.locationId)) {
+      errors.push(`${label} must be for an active store location`);
+    }
+    if (!isDate(closure.startDate) || !isDate(closure.endDate)) {
+      errors.push(`${label} needs a start and end date`);
+    } else if (closure.startDate > closure.endDate) {
+      errors.push(`${label} must start on or before its end date`);
+    }
+    if (!locationIds.has(closure.substituteLocationId)) {
+      errors.push(`${label} needs an active substitute location`);
+    } else if (closure.substituteLocationId === closure.locationId) {
+      errors.push(`${label} can't use the closed location as its substitute`);
+    }
+  });
+
+  const locationsWithCaps = new Set();
+  configuration.capacityLimits.forEach((limit, index) => {
+    const label = locationNames.get(limit.locationId) || `Capacity limit ${index + 1}`;
+
+    if (!locationIds.has(limit.locationId)) {
+      errors.push(`${label} must be an active store location`);
+    } else if (locationsWithCaps.has(limit.locationId)) {
+      errors.push(`${label} has more than one daily order cap`);
+    }
+    locationsWithCaps.add(limit.locationId);
+
+    if (limit.dailyOrderCap < 1) {
+      errors.push(`${label} needs a daily order cap of at least 1`);
+    }
+    if (!locationIds.has(limit.fallbackLocationId)) {
+      errors.push(`${label} needs an active fallback location for orders over its cap`);
+    } else if (limit.fallbackLocationId === limit.locationId) {
+      errors.push(`${label} can't be its own fallback location`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Gets the settings and published configuration metafields of a fulfillment constraint rule
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} ruleId - The ID of the fulfillment constraint rule
+ * @returns {Promise<Object>} - { settings, configuration } metafields, either of which may be null
+ */
+async function getRuleMetafields(admin, ruleId) {
+  const query = `#graphql
+    query fulfillmentConstraintRuleConfiguration($namespace: String!, $settingsKey: String!, $configurationKey: String!) {
+      fulfillmentConstraintRules {
+        id
+        settings: metafield(namespace: $namespace, key: $settingsKey) {
+          value
+        }
+        configuration: metafield(namespace: $namespace, key: $configurationKey) {
+          value
+          compareDigest
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(query, {
+    variables: {
+      namespace: RULE_CONFIGURATION_NAMESPACE,
+      settingsKey: RULE_SETTINGS_KEY,
+      configurationKey: RULE_CONFIGURATION_KEY
+    }
+  });
+  const result = await response.json();
+
+  const rule = result.data?.fulfillmentConstraintRules?.find(rule => rule.id === ruleId);
+  return {
+    settings: rule?.settings || null,
+    configuration: rule?.configuration || null
+  };
+}
+
+/**
+ * Gets the settings stored on a fulfillment constraint rule
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} ruleId - The ID of the fulfillment constraint rule
+ * @returns {Promise<Object>} - The rule configuration, with defaults for missing values
+ */
+export async function getRuleConfiguration(admin, ruleId) {
+  try {
+    const { settings } = await getRuleMetafields(admin, ruleId);
+
+    if (!settings?.value) {
+      console.log("No rule configuration found, using defaults");
+      return normalizeRuleConfiguration(null);
+    }
+
+    return normalizeRuleConfiguration(JSON.parse(settings.value));
+  } catch (error) {
+    console.error("Error fetching rule configuration:", error);
+    throw error;
+  }
+}
+
+/**
+ * Publishes the configuration the function reads, built from the rule settings, the
+ * capacity flags and the store's location names. Settings saves, order webhooks and
+ * location webhooks all publish, so each write only succeeds if the configuration is
+ * still the one it was built against, and is rebuilt from its sources otherwise.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @param {string} ruleId - The ID of the fulfillment constraint rule
+ * @param {Object} [settings] - Normalized settings to save with it, instead of the stored ones
+ * @returns {Promise<Object>} - The rule configuration
+ */
+export async function publishRuleConfiguration(admin, shop, ruleId, settings) {
+  const mutation = `#graphql
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  try {
+    for (let attempt = 1; attempt <= PUBLISH_ATTEMPTS; attempt++) {
+      const stored = await getRuleMetafields(admin, ruleId);
+      const configuration = settings || normalizeRuleConfiguration(stored.settings?.value ? JSON.parse(stored.settings.value) : null);
+      const capacityReachedOn = await getCapacityReachedOn(shop, configuration.capacityLimits);
+      const storeLocations = await getStoreLocations(admin);
+      const value = JSON.stringify(toFunctionConfiguration(configuration, capacityReachedOn, storeLocations));
+
+      if (!settings && value === stored.configuration?.value) {
+        return configuration;
+      }
+
+      const metafields = [
+        ...(settings ? [{ key: RULE_SETTINGS_KEY, value: JSON.stringify(settings) }] : []),
+        // A null digest only lets the write create the metafield
+        { key: RULE_CONFIGURATION_KEY, value, compareDigest: stored.configuration?.compareDigest ?? null }
+      ].map(metafield => ({ ...metafield, namespace: RULE_CONFIGURATION_NAMESPACE, type: "json", ownerId: ruleId }));
+
+      const response = await admin.graphql(mutation, { variables: { metafields } });
+      const result = await response.json();
+      const userErrors = result.data?.metafieldsSet?.userErrors || [];
+
+      if (userErrors.some(error => error.code === "STALE_OBJECT") && attempt < PUBLISH_ATTEMPTS) {
+        console.log(`Rule configuration changed while publishing, rebuilding (attempt ${attempt})`);
+        continue;
+      }
+      if (userErrors.length > 0) {
+        console.error("Errors publishing rule configuration:", userErrors);
+        throw new Error(`Failed to publish rule configuration: ${userErrors.map(e => e.message).join(', ')}`);
+      }
+
+      console.log("Successfully published rule configuration");
+      return configuration;
+    }
+  } catch (error) {
+    console.error("Error publishing rule configuration:", error);
+    throw error;
+  }
+}
+
+/**
+ * Saves the settings on a fulfillment constraint rule and publishes them to the function
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - The shop domain
+ * @param {string} ruleId - The ID of the fulfillment constraint rule
+ * @param {Object} configuration - The rule configuration to store
+ * @returns {Promise<Object>} - The saved rule configuration
+ */
+export async function setRuleConfiguration(admin, shop, ruleId, configuration) {
+  const normalizedConfiguration = normalizeRuleConfiguration(configuration);
+  console.log("Setting rule configuration:", normalizedConfiguration);
+
+  return publishRuleConfiguration(admin, shop, ruleId, normalizedConfiguration);
+}
@@ -0,0 +1,229 @@
+import {useEffect, useState} from 'react';
+import {
+  reactExtension,
+  useApi,
+  AdminBlock,
+  BlockStack,
+  Button,
+  Text,
+  Banner,
+  InlineStack,
+} from '@shopify/ui-extensions-react/admin';
+import {
+  getLocationListLabel,
+  parseLocationList,
+  parseLocationPreference,
+} from '../../../app/utils/locationList';
+import {APP_METAFIELD_NAMESPACE} from '../../../app/utils/metafieldNamespaces';
+import LocationListEditor from '../../shared/LocationListEditor';
+
+// The target used here must match the target used in the extension's toml file (./shopify.extension.toml)
+const TARGET = 'admin.company-location-details.block.render';
+
+export default reactExtension(TARGET, () => <App />);
+
+// Run a GraphQL operation through the query API, falling back to direct fetch
+async function runQuery(query, graphqlQuery, variables) {
+  try {
+    return await query(graphqlQuery, {variables});
+  } catch (queryError) {
+    console.log('Query API failed, trying fetch method:', queryError);
+
+    const res = await fetch("shopify:admin/api/graphql.json", {
+      method: "POST",
+      body: JSON.stringify({query: graphqlQuery, variables}),
+    });
+
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+
+    return res.json();
+  }
+}
+
+function App() {
+  const {data, query} = useApi(TARGET);
+
+  const [companyLocation, setCompanyLocation] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [locationOptions, setLocationOptions] = useState([]);
+  const [selectedLocations, setSelectedLocations] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    (async function getCompanyLocationInfo() {
+      try {
+        setLoading(true);
+        setError('');
+
+        const getCompanyLocationQuery = `
+          query CompanyLocation($id: ID!) {
+            companyLocation(id: $id) {
+              id
+              name
+              metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
+                id
+                value
+                type
+              }
+            }
+          }
+        `;
+
+        const getAppMetafieldQuery = `
+          query AppMetafield {
+            currentAppInstallation {
+              metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location_list") {
+                value
+              }
+            }
+          }
+        `;
+
+        const companyLocationResult = await runQuery(query, getCompanyLocationQuery, {id: data.selected[0].id});
+        if (companyLocationResult.errors) {
+          console.error('GraphQL errors for company location:', companyLocationResult.errors);
+          setError(`GraphQL Error: ${companyLocationResult.errors.map(e => e.message).join(', ')}`);
+          return;
+        }
+
+        const companyLocationData = companyLocationResult.data?.companyLocation;
+        if (!companyLocationData) {
+          setError('Company location not found or access denied');
+          return;
+        }
+        setCompanyLocation(companyLocationData);
+
+        const appMetafieldResult = await runQuery(query, getAppMetafieldQuery);
+        const appMetafieldValue = appMetafieldResult.data?.currentAppInstallation?.metafield?.value;
+
+        const locationList = parseLocationList(appMetafieldValue);
+        const locations = locationList.locations
+          .map(entry => ({label: getLocationListLabel(entry), value: entry.id}));
+        const locationNamesById = new Map(locationList.locations.map(entry => [entry.id, entry.name]));
+
+        if (locations.length === 0) {
+          setError('App metafield not found. Please go to the app settings and click "Setup Location List" to configure available fulfillment locations.');
+          return;
+        }
+        setLocationOptions(locations);
+
+        // Pre-fill the current locations, matching legacy location names
+        const currentValues = parseLocationPreference(companyLocationData.metafield?.value)
+          .map(current => (
+            locations.find(loc => loc.value === current) ||
+            locations.find(loc => locationNamesById.get(loc.value) === current)
+          )?.value)
+          .filter((value, index, values) => value && values.indexOf(value) === index);
+        setSelectedLocations(currentValues);
+      } catch (err) {
+        console.error('Error fetching company location:', err);
+        setError('Failed to load company location information');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [data.selected, query]);
+
+  const handleSave = async () => {
+    if (!companyLocation) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setSaved(false);
+      setError('');
+
+      // Saves go through the app so they are checked and recorded in the preference audit log.
+      // An empty list clears the preference so each contact's own applies.
+      const res = await fetch('/api/preferences', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({companyLocationId: companyLocation.id, locationIds: selectedLocations}),
+      });
+      const result = await res.json().catch(() => ({}));
+
+      if (!res.ok || !result.success) {
+        console.error('Error saving company location preferences:', result.error || res.status);
+        setError(`Failed to save locations: ${result.error || `HTTP error! status: ${res.status}`}`);
+        return;
+      }
+
+      setCompanyLocation({
+        ...companyLocation,
+        metafield: selectedLocations.length > 0 ? {value: JSON.stringify(selectedLocations)} : null,
+      });
+      setSaved(true);
+    } catch (err) {
+      console.error('Error saving company location preferences:', err);
+      setError('Failed to save fulfillment locations');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getLocationLabel = (value) =>
+    locationOptions.find(loc => loc.value === value)?.label || value;
+
+  const updateLocations = (locations) => {
+    setSelectedLocations(locations);
+    setSaved(false);
+  };
+
+  if (loading) {
+    return (
+      <AdminBlock title="Fulfillment Locations">
+        <Text>Loading company location information...</Text>
+      </AdminBlock>
+    );
+  }
+
+  return (
+    <AdminBlock
+      title="Fulfillment Locations"
+      collapsedSummary={selectedLocations.map(getLocationLabel).join(' → ') || 'Not set'}
+    >
+      <BlockStack gap>
+        {error && (
+          <Banner tone="critical">
+            {error}
+          </Banner>
+        )}
+        {saved && (
+          <Banner tone="success">
+            {companyLocation?.metafield
+              ? 'Fulfillment locations saved. They apply to every contact ordering for this location.'
+              : 'Fulfillment locations cleared. Each contact\'s own preference is used.'}
+          </Banner>
+        )}
+
+        {!error && companyLocation && (
+          <>
+            <LocationListEditor
+              title={`Preferred fulfillment locations for ${companyLocation.name} (in order):`}
+              emptyText="No locations selected. Each contact's own preference is used."
+              addLabel="Add fallback location"
+              locations={selectedLocations}
+              options={locationOptions}
+              onChange={updateLocations}
+              getLocationLabel={getLocationLabel}
+            />
+            <InlineStack inlineAlignment="end">
+              <Button
+                variant="primary"
+                onPress={handleSave}
+                disabled={(selectedLocations.length === 0 && !companyLocation.metafield) || saving}
+              >
+                Save
+              </Button>
+            </InlineStack>
+          </>
+        )}
+      </BlockStack>
+    </AdminBlock>
+  );
+}
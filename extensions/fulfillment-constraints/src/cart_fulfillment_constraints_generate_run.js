@@ -13,49 +13,628 @@ const NO_CHANGES = {
 };
 
 /**
+ * @typedef {Object} RoutingZone
+ * @property {string} name - Merchant-facing zone name
+ * @property {string[]} countryCodes - Two-letter country codes; empty matches any country
+ * @property {string[]} provinceCodes - Province codes; empty matches any province
+ * @property {string[]} postalCodes - Prefixes such as `20`, or inclusive ranges such as `2000-2999`
+ * @property {string} locationId - Location that serves the zone
+ */
+
+/**
+ * @typedef {Object} RoutingRule
+ * @property {string} name - Merchant-facing rule name
+ * @property {{ id: string, title: string }[]} collections - Matches lines whose product is in any of these collections
+ * @property {string} locationId - Location the matching lines ship from
+ */
+
+/**
+ * @typedef {Object} LocationHours
+ * @property {string} locationId - Location the hours belong to
+ * @property {string[]} openDays - Days the location packs orders, as `MON` to `SUN`
+ * @property {number} openingHour - Hour packing starts, in shop time
+ * @property {number} cutoffHour - Hour packing stops, in shop time
+ * @property {string} alternateLocationId - Location that takes orders outside these hours
+ */
+
+/**
+ * @typedef {Object} PackingWindow
+ * @property {number} openingHour
+ * @property {number} cutoffHour
+ */
+
+/**
+ * @typedef {Object} LocationClosure
+ * @property {string} locationId - Location that is closed
+ * @property {string} startDate - First closed day, as `YYYY-MM-DD` in shop time
+ * @property {string} endDate - Last closed day, as `YYYY-MM-DD` in shop time
+ * @property {string} substituteLocationId - Location that takes orders during the closure
+ */
+
+/**
+ * @typedef {Object} CapacityLimit
+ * @property {string} locationId - Location with a daily order cap
+ * @property {number} dailyOrderCap - Orders per day before the location is over capacity
+ * @property {string} fallbackLocationId - Location that takes orders once the cap is reached
+ */
+
+/**
+ * @typedef {Object} RuleConfiguration
+ * @property {boolean} enabled - Whether the function applies any constraints
+ * @property {string | null} defaultLocationId - Location used when the buyer has no preference
+ * @property {"SKIP" | "USE_DEFAULT"} notFoundBehavior - What to do when no preferred location exists
+ * @property {RoutingZone[]} zones - Geographic zones, checked in order, for buyers with no preference
+ * @property {RoutingRule[]} rules - Collection rules, checked in order after the explicit preference
+ * @property {LocationHours[]} locationHours - Packing days and hours for locations that don't run around the clock
+ * @property {PackingWindow[]} packingWindows - The distinct opening and cutoff hours of `locationHours`, at most two.
+ *   The input query checks the first with `timeBetween` using the `packingStart` and `packingEnd`
+ *   variables stored alongside, and the second using `secondPackingStart` and `secondPackingEnd`.
+ * @property {LocationClosure[]} closures - Date ranges when a location takes no orders
+ * @property {CapacityLimit[]} capacityLimits - Daily order caps, counted by the app
+ * @property {Record<string, string>} capacityReachedOn - The shop date each capped location last
+ *   reached its cap, keyed by location ID and published by the app from its order counts
+ * @property {Record<string, string>} locationIdsByName - Location IDs keyed by location name,
+ *   published by the app so that legacy name values resolve without querying names
+ * @property {"NEVER" | "WITHOUT_PREFERENCE" | "ALWAYS"} keepTogether - When lines must ship from a single location:
+ *   never, only lines no preference applies to, or every group of lines
+ */
+
+/**
+ * @type {RuleConfiguration}
+ */
+const DEFAULT_CONFIGURATION = {
+  enabled: true,
+  defaultLocationId: null,
+  notFoundBehavior: "SKIP",
+  zones: [],
+  rules: [],
+  locationHours: [],
+  packingWindows: [],
+  closures: [],
+  capacityLimits: [],
+  capacityReachedOn: {},
+  locationIdsByName: {},
+  keepTogether: "NEVER",
+};
+
+// Days of the week in `Date.prototype.getUTCDay` order
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+/**
+ * Parses a stored location preference into an ordered list of values.
+ * Preferences are saved as a list metafield (a JSON array), but older
+ * customers may still hold a single location ID or name.
+ * @param {string | null | undefined} value
+ * @returns {string[]}
+ */
+function parseLocationPreference(value) {
+  if (!value) {
+    return [];
+  }
+
+  if (value.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed.filter(entry => typeof entry === "string") : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return [value];
+}
+
+/**
+ * Gets the customer's preference for one delivery method. The lists for every
+ * method share the `fulfillment_location_methods` JSON metafield, keyed by
+ * delivery method type, and take precedence over the general preference.
+ * @param {any} customer
+ * @param {string | undefined} deliveryMethod
+ * @returns {string[]}
+ */
+function getDeliveryMethodPreference(customer, deliveryMethod) {
+  const preferences = customer?.methodPreferences?.jsonValue;
+  const preference = deliveryMethod && preferences && typeof preferences === "object"
+    ? preferences[deliveryMethod]
+    : undefined;
+
+  return Array.isArray(preference) ? preference.filter(entry => typeof entry === "string") : [];
+}
+
+/**
+ * Resolves preference values to location IDs, keeping the preferred order.
+ * Values are matched by ID first, falling back to the legacy name match.
+ * @param {string[]} preferences
+ * @param {CartFulfillmentConstraintsGenerateRunInput["locations"]} locations
+ * @param {Record<string, string>} [locationIdsByName] - Location IDs keyed by name, for legacy values
+ * @returns {string[]}
+ */
+function resolveLocationIds(preferences, locations, locationIdsByName = {}) {
+  /** @type {string[]} */
+  const locationIds = [];
+
+  for (const preference of preferences) {
+    const matchingLocation =
+      locations?.find(location => location.id === preference) ??
+      locations?.find(location => location.id === locationIdsByName[preference]);
+
+    if (matchingLocation && !locationIds.includes(matchingLocation.id)) {
+      locationIds.push(matchingLocation.id);
+    }
+  }
+
+  return locationIds;
+}
+
+/**
+ * Reads the rule configuration saved from the app's settings page
  * @param {CartFulfillmentConstraintsGenerateRunInput} input
- * @returns {CartFulfillmentConstraintsGenerateRunResult}
+ * @returns {RuleConfiguration}
  */
-export function cartFulfillmentConstraintsGenerateRun(input) {
-  // Get the desired fulfillment location from customer metafield
-  const desiredLocationName = input?.cart?.buyerIdentity?.customer?.metafield?.value;
-  console.error("desiredLocationName", desiredLocationName);
+function getRuleConfiguration(input) {
+  const configuration = input?.fulfillmentConstraintRule?.metafield?.jsonValue;
 
-  // If no desired location is specified, return no changes
-  if (!desiredLocationName) {
-    return NO_CHANGES;
+  if (!configuration || typeof configuration !== "object") {
+    return DEFAULT_CONFIGURATION;
+  }
+
+  return { ...DEFAULT_CONFIGURATION, ...configuration };
+}
+
+/**
+ * Gets the delivery method the buyer has selected, if any.
+ * Checkout offers one method type at a time, so the first selected
+ * delivery option across the delivery groups is used.
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @returns {string | undefined}
+ */
+function getSelectedDeliveryMethod(input) {
+  return input?.cart?.deliveryGroups
+    ?.map(group => group.selectedDeliveryOption?.deliveryMethodType)
+    .find(Boolean);
+}
+
+/**
+ * Gets the delivery address of the cart, if the buyer has entered one
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ */
+function getDeliveryAddress(input) {
+  return input?.cart?.deliveryGroups
+    ?.map(group => group.deliveryAddress)
+    .find(Boolean);
+}
+
+/**
+ * Compares two postal codes, numerically when both are numbers
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function comparePostalCodes(a, b) {
+  if (/^\d+$/.test(a) && /^\d+$/.test(b)) {
+    return Number(a) - Number(b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Checks a postal code against a zone entry, which is either a prefix
+ * (`20`) or an inclusive range (`2000-2999`)
+ * @param {string} postalCode - Upper-cased postal code without spaces
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function matchesPostalCode(postalCode, entry) {
+  const normalizedEntry = entry.toUpperCase().replace(/\s/g, "");
+  const [from, to] = normalizedEntry.split("-");
+
+  if (to !== undefined) {
+    return comparePostalCodes(postalCode, from) >= 0 && comparePostalCodes(postalCode, to) <= 0;
+  }
+
+  return postalCode.startsWith(normalizedEntry);
+}
+
+/**
+ * Finds the first zone that contains the delivery address
+ * @param {RoutingZone[]} zones
+ * @param {ReturnType<typeof getDeliveryAddress>} address
+ * @returns {RoutingZone | undefined}
+ */
+function findMatchingZone(zones, address) {
+  if (!address || !Array.isArray(zones)) {
+    return undefined;
   }
 
-  // Find the matching location by name
-  const matchingLocation = input?.locations?.find(
-    location => location.name === desiredLocationName
+  const postalCode = (address.zip ?? "").toUpperCase().replace(/\s/g, "");
+
+  return zones.find(zone =>
+    (!zone.countryCodes?.length || zone.countryCodes.includes(address.countryCode ?? "")) &&
+    (!zone.provinceCodes?.length || zone.provinceCodes.includes(address.provinceCode ?? "")) &&
+    (!zone.postalCodes?.length || (postalCode !== "" && zone.postalCodes.some(entry => matchesPostalCode(postalCode, entry))))
   );
-  console.error("matchingLocation", matchingLocation?.id, matchingLocation?.name);
+}
 
-  // If no matching location is found, return no changes
-  if (!matchingLocation) {
-    return NO_CHANGES;
+/**
+ * Checks whether a routing rule applies to a line, which is when the product is
+ * in any of the rule's collections. Membership comes from the `inCollections`
+ * field, queried with the collections of all rules.
+ * @param {RoutingRule} rule
+ * @param {any} product
+ * @returns {boolean}
+ */
+function matchesRoutingRule(rule, product) {
+  const collectionIds = (rule.collections ?? []).map(collection => collection.id);
+
+  // A rule without collections would match every line, so it is ignored
+  if (collectionIds.length === 0) {
+    return false;
+  }
+
+  return (product?.inCollections ?? []).some(
+    (/** @type {any} */ response) => response.isMember && collectionIds.includes(response.collectionId)
+  );
+}
+
+/**
+ * Gets the location of the first routing rule that applies to a line
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @param {CartFulfillmentConstraintsGenerateRunInput["cart"]["deliverableLines"][number]} line
+ * @param {RoutingRule[]} rules
+ * @returns {string[]}
+ */
+function getRoutingRuleLocationIds(input, line, rules) {
+  const product = /** @type {any} */ (line?.merchandise)?.product;
+
+  for (const rule of rules ?? []) {
+    if (matchesRoutingRule(rule, product)) {
+      const locationIds = resolveLocationIds([rule.locationId], input?.locations);
+      if (locationIds.length > 0) {
+        return locationIds;
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Gets the preferred locations for this checkout, most preferred first.
+ * Sources are checked in precedence order and the first one that resolves
+ * to an existing location wins:
+ * 1. the `_fulfillment_location` cart attribute (per checkout, works for guests)
+ * 2. the B2B company location's `fulfillment_location` metafield, so a
+ *    branch is supplied the same way whichever contact places the order
+ * 3. the customer's preference for the selected delivery method, from the
+ *    `fulfillment_location_methods` metafield
+ * 4. the customer's saved `fulfillment_location` metafield
+ * When none of these exist, the first configured zone containing the delivery
+ * address is used, then the configured default location. When a preference
+ * exists but none of its locations do, the configured `notFoundBehavior`
+ * decides between no preference and the default.
+ * Preferences are read from the app-reserved `$app:location-selector` namespace
+ * only; values left in `custom` by older installs are copied over by the app.
+ * `isExplicit` tells whether the locations came from one of the sources above,
+ * in which case routing rules are not consulted.
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @param {RuleConfiguration} configuration
+ * @returns {{ locationIds: string[], isExplicit: boolean }}
+ */
+function getPreferredLocationIds(input, configuration) {
+  const customer = /** @type {any} */ (input?.cart?.buyerIdentity?.customer);
+  const deliveryMethod = getSelectedDeliveryMethod(input);
+  console.error("deliveryMethod", deliveryMethod);
+
+  const sources = [
+    parseLocationPreference(input?.cart?.attribute?.value),
+    parseLocationPreference(input?.cart?.buyerIdentity?.purchasingCompany?.location?.metafield?.value),
+    getDeliveryMethodPreference(customer, deliveryMethod),
+    parseLocationPreference(customer?.metafield?.value),
+  ];
+
+  let hasPreference = false;
+  for (const preferences of sources) {
+    hasPreference = hasPreference || preferences.length > 0;
+
+    const locationIds = resolveLocationIds(preferences, input?.locations, configuration.locationIdsByName);
+    if (locationIds.length > 0) {
+      return { locationIds, isExplicit: true };
+    }
+  }
+
+  return {
+    locationIds: getFallbackLocationIds(input, configuration, hasPreference),
+    isExplicit: false,
+  };
+}
+
+/**
+ * Gets the locations used when no explicit preference resolves
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @param {RuleConfiguration} configuration
+ * @param {boolean} hasPreference - Whether a preference was set but not found
+ * @returns {string[]}
+ */
+function getFallbackLocationIds(input, configuration, hasPreference) {
+  if (hasPreference && configuration.notFoundBehavior !== "USE_DEFAULT") {
+    return [];
+  }
+
+  if (!hasPreference) {
+    const zone = findMatchingZone(configuration.zones, getDeliveryAddress(input));
+    const zoneLocationIds = zone ? resolveLocationIds([zone.locationId], input?.locations) : [];
+    console.error("matchingZone", zone?.name);
+
+    if (zoneLocationIds.length > 0) {
+      return zoneLocationIds;
+    }
+  }
+
+  return configuration.defaultLocationId
+    ? resolveLocationIds([configuration.defaultLocationId], input?.locations)
+    : [];
+}
+
+/**
+ * Gets the shop's current date and day of the week, and whether the time is
+ * within each packing window. `LocalTime` has no raw time field, so the query
+ * answers that with one `timeBetween` check per window.
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @returns {{ date: string, day: string, isWithinPackingWindows: boolean[] } | null}
+ */
+function getShopLocalTime(input) {
+  const localTime = /** @type {Record<string, any> | undefined} */ (input?.shop?.localTime);
+  if (!localTime?.date) {
+    return null;
   }
 
-  // Get all deliverable line IDs from the cart
-  const deliverableLineIds = input?.cart?.deliverableLines?.map(line => line.id) ?? [];
+  return {
+    date: localTime.date,
+    day: WEEKDAYS[new Date(`${localTime.date}T00:00:00Z`).getUTCDay()],
+    isWithinPackingWindows: [
+      localTime.withinPackingHours === true,
+      localTime.withinSecondPackingHours === true,
+    ],
+  };
+}
+
+/**
+ * Checks whether a location is packing orders at the given time, using the
+ * packing window with the location's opening and cutoff hours
+ * @param {LocationHours} hours
+ * @param {{ date: string, day: string, isWithinPackingWindows: boolean[] }} localTime
+ * @param {PackingWindow[]} packingWindows
+ * @returns {boolean}
+ */
+function isWithinLocationHours(hours, localTime, packingWindows) {
+  const windowIndex = (packingWindows ?? []).findIndex(packingWindow =>
+    packingWindow.openingHour === hours.openingHour && packingWindow.cutoffHour === hours.cutoffHour
+  );
+
+  return (
+    (hours.openDays ?? []).includes(localTime.day) &&
+    localTime.isWithinPackingWindows[windowIndex] === true
+  );
+}
+
+/**
+ * Replaces locations that are outside their packing hours with their
+ * alternate location, keeping the order and dropping duplicates.
+ * Alternates are not followed further, so they should be open around the clock.
+ * @param {string[]} locationIds
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @param {RuleConfiguration} configuration
+ * @returns {string[]}
+ */
+function applyLocationHours(locationIds, input, configuration) {
+  const localTime = getShopLocalTime(input);
+  if (!localTime || (configuration.locationHours ?? []).length === 0) {
+    return locationIds;
+  }
+
+  const divertedLocationIds = locationIds.flatMap(locationId => {
+    const hours = configuration.locationHours.find(entry => entry.locationId === locationId);
+    if (!hours || isWithinLocationHours(hours, localTime, configuration.packingWindows)) {
+      return [locationId];
+    }
+    return resolveLocationIds([hours.alternateLocationId], input?.locations);
+  });
+
+  return [...new Set(divertedLocationIds)];
+}
+
+/**
+ * Replaces locations that are closed today with their substitute location,
+ * keeping the order and dropping duplicates. Customer preferences are left
+ * untouched, so routing returns to normal once the closure ends.
+ * @param {string[]} locationIds
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @param {RuleConfiguration} configuration
+ * @returns {string[]}
+ */
+function applyLocationClosures(locationIds, input, configuration) {
+  const localTime = getShopLocalTime(input);
+  if (!localTime || (configuration.closures ?? []).length === 0) {
+    return locationIds;
+  }
+
+  // Dates are ISO formatted, so they compare correctly as strings
+  const divertedLocationIds = locationIds.flatMap(locationId => {
+    const closure = configuration.closures.find(entry =>
+      entry.locationId === locationId &&
+      entry.startDate <= localTime.date &&
+      localTime.date <= entry.endDate
+    );
+    if (!closure) {
+      return [locationId];
+    }
+    return resolveLocationIds([closure.substituteLocationId], input?.locations);
+  });
+
+  return [...new Set(divertedLocationIds)];
+}
 
-  // If no deliverable lines, return no changes
-  if (deliverableLineIds.length === 0) {
+/**
+ * Replaces locations that have reached today's order cap with their fallback
+ * location, keeping the order and dropping duplicates. The app counts orders
+ * and records the date the cap was reached in `capacityReachedOn`, so a flag
+ * from an earlier day is ignored.
+ * @param {string[]} locationIds
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @param {RuleConfiguration} configuration
+ * @returns {string[]}
+ */
+function applyLocationCapacity(locationIds, input, configuration) {
+  const localTime = getShopLocalTime(input);
+  if (!localTime || (configuration.capacityLimits ?? []).length === 0) {
+    return locationIds;
+  }
+
+  const divertedLocationIds = locationIds.flatMap(locationId => {
+    const limit = configuration.capacityLimits.find(entry => entry.locationId === locationId);
+    if (!limit || configuration.capacityReachedOn?.[locationId] !== localTime.date) {
+      return [locationId];
+    }
+    return resolveLocationIds([limit.fallbackLocationId], input?.locations);
+  });
+
+  return [...new Set(divertedLocationIds)];
+}
+
+/**
+ * Gets the locations a deliverable line is allowed to ship from, from the
+ * product metafield; an empty list means the line is unrestricted.
+ * @param {CartFulfillmentConstraintsGenerateRunInput["cart"]["deliverableLines"][number]} line
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @param {RuleConfiguration} configuration
+ * @returns {string[]}
+ */
+function getAllowedLocationIds(line, input, configuration) {
+  const product = /** @type {any} */ (line?.merchandise)?.product;
+
+  return resolveLocationIds(
+    parseLocationPreference(product?.metafield?.value),
+    input?.locations,
+    configuration.locationIdsByName
+  );
+}
+
+/**
+ * Chooses the locations for a single line. The customer preference is used
+ * where it is compatible with the line's restriction, otherwise the
+ * restriction alone applies.
+ * @param {string[]} preferredLocationIds
+ * @param {string[]} allowedLocationIds
+ * @returns {string[]}
+ */
+function chooseLineLocationIds(preferredLocationIds, allowedLocationIds) {
+  if (allowedLocationIds.length === 0) {
+    return preferredLocationIds;
+  }
+
+  const compatibleLocationIds = preferredLocationIds.filter(
+    locationId => allowedLocationIds.includes(locationId)
+  );
+
+  return compatibleLocationIds.length > 0 ? compatibleLocationIds : allowedLocationIds;
+}
+
+/**
+ * @param {CartFulfillmentConstraintsGenerateRunInput} input
+ * @returns {CartFulfillmentConstraintsGenerateRunResult}
+ */
+export function cartFulfillmentConstraintsGenerateRun(input) {
+  const configuration = getRuleConfiguration(input);
+
+  // If the merchant has switched the function off, return no changes
+  if (!configuration.enabled) {
     return NO_CHANGES;
   }
 
-  // Create the fulfillment constraint operation
-  const operations = [
-    {
-      deliverableLinesMustFulfillFromAdd: {
-        locationIds: [matchingLocation.id],
-        deliverableLineIds: deliverableLineIds
+  // Get the ordered list of acceptable locations that still exist in the store
+  const preferred = getPreferredLocationIds(input, configuration);
+  console.error("preferredLocationIds", preferred.locationIds, preferred.isExplicit);
+
+  // Group deliverable lines by the set of locations they must ship from,
+  // so that each group gets its own constraint operation
+  /** @type {Map<string, { locationIds: string[], deliverableLineIds: string[] }>} */
+  const groups = new Map();
+  /** @type {string[]} */
+  const unconstrainedLineIds = [];
+
+  for (const line of input?.cart?.deliverableLines ?? []) {
+    // Routing rules come after an explicit preference, ahead of zones and the default
+    const ruleLocationIds = preferred.isExplicit
+      ? []
+      : getRoutingRuleLocationIds(input, line, configuration.rules);
+    // Closed locations are swapped for their substitute, then full locations
+    // for their fallback, before packing hours are checked
+    const openLocationIds = applyLocationClosures(
+      ruleLocationIds.length > 0 ? ruleLocationIds : preferred.locationIds,
+      input,
+      configuration
+    );
+    const preferredLocationIds = applyLocationHours(
+      applyLocationCapacity(openLocationIds, input, configuration),
+      input,
+      configuration
+    );
+
+    const allowedLocationIds = getAllowedLocationIds(line, input, configuration);
+    const locationIds = chooseLineLocationIds(preferredLocationIds, allowedLocationIds);
+
+    // Lines with no preference and no restriction are left to Shopify
+    if (locationIds.length === 0) {
+      unconstrainedLineIds.push(line.id);
+      continue;
+    }
+
+    const groupKey = locationIds.join(",");
+    const group = groups.get(groupKey) ?? { locationIds, deliverableLineIds: [] };
+    group.deliverableLineIds.push(line.id);
+    groups.set(groupKey, group);
+  }
+
+  // Create one fulfillment constraint operation per group
+  /** @type {CartFulfillmentConstraintsGenerateRunResult["operations"]} */
+  const operations = [...groups.values()].map(group => ({
+    deliverableLinesMustFulfillFromAdd: {
+      locationIds: group.locationIds,
+      deliverableLineIds: group.deliverableLineIds
+    }
+  }));
+
+  // Keep lines in one shipment where the merchant asked for it. Groups are
+  // kept together separately, since their location lists may not overlap.
+  // A group of one line, or limited to one location, can't be split anyway.
+  /** @type {string[][]} */
+  const sameLocationGroups = [];
+  if (configuration.keepTogether === "WITHOUT_PREFERENCE" || configuration.keepTogether === "ALWAYS") {
+    sameLocationGroups.push(unconstrainedLineIds);
+  }
+  if (configuration.keepTogether === "ALWAYS") {
+    for (const group of groups.values()) {
+      if (group.locationIds.length > 1) {
+        sameLocationGroups.push(group.deliverableLineIds);
       }
     }
-  ];
+  }
+  for (const deliverableLineIds of sameLocationGroups) {
+    if (deliverableLineIds.length > 1) {
+      operations.push({
+        deliverableLinesMustFulfillFromSameLocationAdd: {
+          deliverableLineIds
+        }
+      });
+    }
+  }
+
+  // If no lines need constraining, return no changes
+  if (operations.length === 0) {
+    return NO_CHANGES;
+  }
 
   return {
     operations: operations
   };
-};
\ No newline at end of file
+};
@@ -1,3 +1,4 @@
+import { readFileSync } from 'node:fs';
 import { describe, it, expect } from 'vitest';
 import { cartFulfillmentConstraintsGenerateRun } from './cart_fulfillment_constraints_generate_run';
 
@@ -5,25 +6,729 @@ import { cartFulfillmentConstraintsGenerateRun } from './cart_fulfillment_constr
  * @typedef {import("../generated/api").CartFulfillmentConstraintsGenerateRunResult} CartFulfillmentConstraintsGenerateRunResult
  */
 
+/**
+ * Builds a function input from the parts a test sets, with one deliverable line by default
+ * @param {Object} options
+ * @param {Array<Object>} [options.lines] - The deliverable lines
+ * @param {Array<Object>} [options.deliveryGroups] - The delivery groups
+ * @param {string | null} [options.attribute] - The `_fulfillment_location` cart attribute
+ * @param {string | null} [options.preference] - The customer's saved preference
+ * @param {Object | null} [options.customer] - Other customer fields, such as `methodPreferences`, or null for a guest
+ * @param {string | null} [options.companyLocationPreference] - The B2B company location's saved preference
+ * @param {Object} [options.localTime] - The shop's local time
+ * @param {Array<Object>} [options.locations] - The store locations
+ * @param {Object | null} [options.configuration] - The rule configuration, or null if none is saved
+ */
+const buildInput = ({
+  lines,
+  deliveryGroups,
+  attribute = null,
+  preference = null,
+  customer = {},
+  companyLocationPreference = null,
+  localTime,
+  locations,
+  configuration = {}
+}) => ({
+  cart: {
+    attribute: attribute ? { value: attribute } : null,
+    deliverableLines: lines ?? [
+      {
+        id: "gid://shopify/DeliverableCartLine/1"
+      }
+    ],
+    deliveryGroups,
+    buyerIdentity: customer && {
+      customer: {
+        metafield: preference ? { value: preference } : null,
+        ...customer
+      },
+      purchasingCompany: companyLocationPreference
+        ? {
+          location: {
+            id: "gid://shopify/CompanyLocation/1",
+            metafield: { value: companyLocationPreference }
+          }
+        }
+        : null
+    }
+  },
+  shop: localTime ? { localTime } : undefined,
+  locations,
+  fulfillmentConstraintRule: {
+    metafield: configuration && {
+      jsonValue: configuration
+    }
+  }
+});
+
+/**
+ * Runs the function on an input built by `buildInput`
+ * @param {Parameters<typeof buildInput>[0]} options
+ */
+const run = (options) => cartFulfillmentConstraintsGenerateRun(/** @type {any} */ (buildInput(options)));
+
+/**
+ * Builds a deliverable line whose product can only ship from the given locations
+ * @param {string} id
+ * @param {Array<string> | null} locationIds - The product's allowed locations, or null if unrestricted
+ */
+const restrictedLine = (id, locationIds) => ({
+  id,
+  merchandise: {
+    __typename: "ProductVariant",
+    product: {
+      metafield: locationIds && { value: JSON.stringify(locationIds) }
+    }
+  }
+});
+
+/**
+ * Gets the locations of the first `deliverableLinesMustFulfillFromAdd` operation
+ * @param {CartFulfillmentConstraintsGenerateRunResult} result
+ */
+const locationIdsOf = (result) => result.operations[0]?.deliverableLinesMustFulfillFromAdd?.locationIds;
+
+// Input query fields that cost 3, including their selection
+const COSTLY_INPUT_FIELDS = ["metafield", "attribute", "hasTags", "hasAnyTag", "inCollections", "inAnyCollection"];
+
+/**
+ * Adds up the cost of a function input query: 3 for each costly field and
+ * 1 for every other leaf. Arguments, aliases and fragments cost nothing.
+ * @param {string} query
+ * @returns {number}
+ */
+const inputQueryCost = (query) => {
+  const tokens = query
+    .replace(/#.*$/gm, "")
+    .replace(/^[^{]*/, "")
+    .replace(/\([^)]*\)/g, "")
+    .replace(/\.\.\.\s*on\s+\w+/g, "")
+    .replace(/\w+\s*:/g, "")
+    .match(/[{}]|\w+/g) ?? [];
+
+  let cost = 0;
+  let depth = 0;
+  /** @type {number | null} */
+  let costlyDepth = null;
+  tokens.forEach((token, index) => {
+    if (token === "{") {
+      depth++;
+    } else if (token === "}") {
+      depth--;
+      if (depth === costlyDepth) {
+        costlyDepth = null;
+      }
+    } else if (costlyDepth === null) {
+      if (COSTLY_INPUT_FIELDS.includes(token)) {
+        cost += 3;
+        costlyDepth = tokens[index + 1] === "{" ? depth : null;
+      } else if (tokens[index + 1] !== "{") {
+        cost += 1;
+      }
+    }
+  });
+  return cost;
+};
+
 describe('fulfillment constraint rule function', () => {
   it('returns no operations without configuration', () => {
-    const result = cartFulfillmentConstraintsGenerateRun({
-      cart: {
-        deliverableLines: [
+    const result = run({
+      lines: [
+        { id: "gid://shopify/DeliverableCartLine/1" },
+        { id: "gid://shopify/DeliverableCartLine/2" }
+      ],
+      configuration: null
+    });
+
+    expect(result).toEqual({ operations: [] });
+  });
+
+  it('constrains lines to the location matching the preferred location ID', () => {
+    const result = run({
+      preference: "gid://shopify/Location/2",
+      locations: [
+        { id: "gid://shopify/Location/1", name: "gid://shopify/Location/2" },
+        { id: "gid://shopify/Location/2", name: "Sydney" }
+      ],
+      configuration: {
+        locationIdsByName: {
+          "gid://shopify/Location/2": "gid://shopify/Location/1",
+          "Sydney": "gid://shopify/Location/2"
+        }
+      }
+    });
+
+    expect(result).toEqual({
+      operations: [
+        {
+          deliverableLinesMustFulfillFromAdd: {
+            locationIds: ["gid://shopify/Location/2"],
+            deliverableLineIds: ["gid://shopify/DeliverableCartLine/1"]
+          }
+        }
+      ]
+    });
+  });
+
+  it('still accepts a legacy location name as the preference', () => {
+    const result = run({
+      preference: "Sydney",
+      locations: [{ id: "gid://shopify/Location/2", name: "Sydney" }],
+      configuration: { locationIdsByName: { "Sydney": "gid://shopify/Location/2" } }
+    });
+
+    expect(locationIdsOf(result)).toEqual(["gid://shopify/Location/2"]);
+  });
+
+  it('passes every matching location from an ordered preference list', () => {
+    const result = run({
+      preference: JSON.stringify(["gid://shopify/Location/2", "gid://shopify/Location/99", "Melbourne"]),
+      locations: [
+        { id: "gid://shopify/Location/3", name: "Melbourne" },
+        { id: "gid://shopify/Location/2", name: "Sydney" }
+      ],
+      configuration: {
+        locationIdsByName: {
+          "Melbourne": "gid://shopify/Location/3",
+          "Sydney": "gid://shopify/Location/2"
+        }
+      }
+    });
+
+    expect(locationIdsOf(result)).toEqual(["gid://shopify/Location/2", "gid://shopify/Location/3"]);
+  });
+
+  it('groups lines by their product location restrictions', () => {
+    const result = run({
+      lines: [
+        restrictedLine("gid://shopify/DeliverableCartLine/1", null),
+        restrictedLine("gid://shopify/DeliverableCartLine/2", ["gid://shopify/Location/2", "gid://shopify/Location/3"]),
+        restrictedLine("gid://shopify/DeliverableCartLine/3", ["gid://shopify/Location/3"])
+      ],
+      preference: JSON.stringify(["gid://shopify/Location/2"]),
+      locations: [
+        { id: "gid://shopify/Location/2", name: "Sydney" },
+        { id: "gid://shopify/Location/3", name: "Cold Store" }
+      ]
+    });
+
+    expect(result).toEqual({
+      operations: [
+        {
+          deliverableLinesMustFulfillFromAdd: {
+            locationIds: ["gid://shopify/Location/2"],
+            deliverableLineIds: ["gid://shopify/DeliverableCartLine/1", "gid://shopify/DeliverableCartLine/2"]
+          }
+        },
+        {
+          deliverableLinesMustFulfillFromAdd: {
+            locationIds: ["gid://shopify/Location/3"],
+            deliverableLineIds: ["gid://shopify/DeliverableCartLine/3"]
+          }
+        }
+      ]
+    });
+  });
+
+  it('constrains restricted lines even without a customer preference', () => {
+    const result = run({
+      lines: [
+        { id: "gid://shopify/DeliverableCartLine/1" },
+        restrictedLine("gid://shopify/DeliverableCartLine/2", ["gid://shopify/Location/3"])
+      ],
+      locations: [{ id: "gid://shopify/Location/3", name: "Cold Store" }]
+    });
+
+    expect(result).toEqual({
+      operations: [
+        {
+          deliverableLinesMustFulfillFromAdd: {
+            locationIds: ["gid://shopify/Location/3"],
+            deliverableLineIds: ["gid://shopify/DeliverableCartLine/2"]
+          }
+        }
+      ]
+    });
+  });
+
+  it('prefers the cart attribute over the customer metafield', () => {
+    const result = run({
+      attribute: "Melbourne",
+      preference: JSON.stringify(["gid://shopify/Location/2"]),
+      locations: [
+        { id: "gid://shopify/Location/2", name: "Sydney" },
+        { id: "gid://shopify/Location/3", name: "Melbourne" }
+      ],
+      configuration: {
+        locationIdsByName: {
+          "Melbourne": "gid://shopify/Location/3",
+          "Sydney": "gid://shopify/Location/2"
+        }
+      }
+    });
+
+    expect(locationIdsOf(result)).toEqual(["gid://shopify/Location/3"]);
+  });
+
+  it('applies the cart attribute for guest checkouts', () => {
+    const result = run({
+      attribute: "gid://shopify/Location/3",
+      customer: null,
+      locations: [{ id: "gid://shopify/Location/3", name: "Melbourne" }]
+    });
+
+    expect(locationIdsOf(result)).toEqual(["gid://shopify/Location/3"]);
+  });
+
+  it('prefers the B2B company location over the individual customer', () => {
+    const result = run({
+      preference: JSON.stringify(["gid://shopify/Location/2"]),
+      companyLocationPreference: JSON.stringify(["gid://shopify/Location/3"]),
+      locations: [
+        { id: "gid://shopify/Location/2", name: "Sydney" },
+        { id: "gid://shopify/Location/3", name: "Brisbane Warehouse" }
+      ]
+    });
+
+    expect(locationIdsOf(result)).toEqual(["gid://shopify/Location/3"]);
+  });
+
+  it('uses the preference for the selected delivery method', () => {
+    /** @param {string} deliveryMethodType */
+    const runWithMethod = (deliveryMethodType) => run({
+      deliveryGroups: [{ selectedDeliveryOption: { deliveryMethodType } }],
+      preference: JSON.stringify(["gid://shopify/Location/1"]),
+      customer: { methodPreferences: { jsonValue: { PICK_UP: ["gid://shopify/Location/2"] } } },
+      locations: [
+        { id: "gid://shopify/Location/1", name: "Central DC" },
+        { id: "gid://shopify/Location/2", name: "Local Store" }
+      ]
+    });
+
+    expect(locationIdsOf(runWithMethod("PICK_UP"))).toEqual(["gid://shopify/Location/2"]);
+
+    // Shipping has no specific preference, so the general one applies
+    expect(locationIdsOf(runWithMethod("SHIPPING"))).toEqual(["gid://shopify/Location/1"]);
+  });
+
+  describe('rule configuration', () => {
+    const locations = [
+      {
+        id: "gid://shopify/Location/1",
+        name: "Central DC"
+      }
+    ];
+
+    const defaultLocationOperations = [
+      {
+        deliverableLinesMustFulfillFromAdd: {
+          locationIds: ["gid://shopify/Location/1"],
+          deliverableLineIds: ["gid://shopify/DeliverableCartLine/1"]
+        }
+      }
+    ];
+
+    it('returns no operations when disabled', () => {
+      const result = run({ preference: "gid://shopify/Location/1", locations, configuration: { enabled: false } });
+
+      expect(result).toEqual({ operations: [] });
+    });
+
+    it('uses the default location for customers with no preference', () => {
+      const result = run({ locations, configuration: { defaultLocationId: "gid://shopify/Location/1" } });
+
+      expect(result).toEqual({ operations: defaultLocationOperations });
+    });
+
+    it('skips constraints when the preferred location is not found', () => {
+      const result = run({
+        preference: "Closed Store",
+        locations,
+        configuration: {
+          defaultLocationId: "gid://shopify/Location/1",
+          notFoundBehavior: "SKIP"
+        }
+      });
+
+      expect(result).toEqual({ operations: [] });
+    });
+
+    it('uses the default location when the preferred location is not found', () => {
+      const result = run({
+        preference: "Closed Store",
+        locations,
+        configuration: {
+          defaultLocationId: "gid://shopify/Location/1",
+          notFoundBehavior: "USE_DEFAULT"
+        }
+      });
+
+      expect(result).toEqual({ operations: defaultLocationOperations });
+    });
+  });
+
+  describe('geographic zones', () => {
+    const configuration = {
+      defaultLocationId: "gid://shopify/Location/9",
+      zones: [
+        {
+          name: "Sydney metro",
+          countryCodes: ["AU"],
+          provinceCodes: ["NSW"],
+          postalCodes: ["2000-2249"],
+          locationId: "gid://shopify/Location/1"
+        },
+        {
+          name: "Queensland",
+          countryCodes: ["AU"],
+          provinceCodes: [],
+          postalCodes: ["4"],
+          locationId: "gid://shopify/Location/2"
+        }
+      ]
+    };
+
+    const locations = [
+      { id: "gid://shopify/Location/1", name: "Sydney" },
+      { id: "gid://shopify/Location/2", name: "Brisbane" },
+      { id: "gid://shopify/Location/3", name: "Melbourne" },
+      { id: "gid://shopify/Location/9", name: "Central DC" }
+    ];
+
+    /** @param {Object} deliveryAddress */
+    const deliveryTo = (deliveryAddress) => [{ deliveryAddress, selectedDeliveryOption: null }];
+
+    it('routes by postal code range within a province', () => {
+      const deliveryGroups = deliveryTo({ countryCode: "AU", provinceCode: "NSW", zip: "2010" });
+      expect(locationIdsOf(run({ deliveryGroups, locations, configuration }))).toEqual(["gid://shopify/Location/1"]);
+    });
+
+    it('routes by postal code prefix', () => {
+      const deliveryGroups = deliveryTo({ countryCode: "AU", provinceCode: "QLD", zip: "4000" });
+      expect(locationIdsOf(run({ deliveryGroups, locations, configuration }))).toEqual(["gid://shopify/Location/2"]);
+    });
+
+    it('falls back to the default location outside every zone', () => {
+      const deliveryGroups = deliveryTo({ countryCode: "AU", provinceCode: "NSW", zip: "2500" });
+      expect(locationIdsOf(run({ deliveryGroups, locations, configuration }))).toEqual(["gid://shopify/Location/9"]);
+    });
+
+    it('does not override an explicit customer preference', () => {
+      const deliveryGroups = deliveryTo({ countryCode: "AU", provinceCode: "QLD", zip: "4000" });
+      const preference = "gid://shopify/Location/3";
+      expect(locationIdsOf(run({ deliveryGroups, preference, locations, configuration }))).toEqual(["gid://shopify/Location/3"]);
+    });
+  });
+
+  describe('routing rules', () => {
+    const configuration = {
+      defaultLocationId: "gid://shopify/Location/9",
+      rules: [
+        {
+          name: "Clearance ships from the outlet",
+          collections: [{ id: "gid://shopify/Collection/1", title: "Clearance" }],
+          locationId: "gid://shopify/Location/3"
+        },
+        {
+          name: "Bulky goods ship from Brisbane",
+          collections: [{ id: "gid://shopify/Collection/2", title: "Bulky" }],
+          locationId: "gid://shopify/Location/2"
+        }
+      ]
+    };
+
+    const locations = [
+      { id: "gid://shopify/Location/1", name: "Sydney" },
+      { id: "gid://shopify/Location/2", name: "Brisbane" },
+      { id: "gid://shopify/Location/3", name: "Outlet" },
+      { id: "gid://shopify/Location/9", name: "Central DC" }
+    ];
+
+    /**
+     * @param {string} id
+     * @param {boolean} isClearance
+     * @param {boolean} isBulky
+     */
+    const line = (id, isClearance, isBulky) => ({
+      id,
+      merchandise: {
+        __typename: "ProductVariant",
+        product: {
+          metafield: null,
+          inCollections: [
+            { collectionId: "gid://shopify/Collection/1", isMember: isClearance },
+            { collectionId: "gid://shopify/Collection/2", isMember: isBulky }
+          ]
+        }
+      }
+    });
+
+    /** @param {boolean} isBulky - Whether the second line is in the bulky collection */
+    const lines = (isBulky) => [
+      line("gid://shopify/DeliverableCartLine/1", true, true),
+      line("gid://shopify/DeliverableCartLine/2", false, isBulky)
+    ];
+
+    it('applies the first matching rule to each line', () => {
+      const result = run({ lines: lines(true), locations, configuration });
+
+      expect(result).toEqual({
+        operations: [
           {
-            id: "gid://shopify/DeliverableCartLine/1"
+            deliverableLinesMustFulfillFromAdd: {
+              locationIds: ["gid://shopify/Location/3"],
+              deliverableLineIds: ["gid://shopify/DeliverableCartLine/1"]
+            }
           },
           {
-            id: "gid://shopify/DeliverableCartLine/2"
+            deliverableLinesMustFulfillFromAdd: {
+              locationIds: ["gid://shopify/Location/2"],
+              deliverableLineIds: ["gid://shopify/DeliverableCartLine/2"]
+            }
           }
         ]
+      });
+    });
+
+    it('falls back to the default location for lines no rule matches', () => {
+      const result = run({ lines: lines(false), locations, configuration });
+
+      expect(result.operations[1]).toEqual({
+        deliverableLinesMustFulfillFromAdd: {
+          locationIds: ["gid://shopify/Location/9"],
+          deliverableLineIds: ["gid://shopify/DeliverableCartLine/2"]
+        }
+      });
+    });
+
+    it('does not override an explicit customer preference', () => {
+      const result = run({ lines: lines(true), preference: "gid://shopify/Location/1", locations, configuration });
+
+      expect(result).toEqual({
+        operations: [
+          {
+            deliverableLinesMustFulfillFromAdd: {
+              locationIds: ["gid://shopify/Location/1"],
+              deliverableLineIds: ["gid://shopify/DeliverableCartLine/1", "gid://shopify/DeliverableCartLine/2"]
+            }
+          }
+        ]
+      });
+    });
+  });
+
+  describe('location hours', () => {
+    /**
+     * Builds the shop's local time as the `timeBetween` checks return it
+     * @param {string} date
+     * @param {boolean} withinPackingHours
+     * @param {boolean} [withinSecondPackingHours]
+     */
+    const localTimeAt = (date, withinPackingHours, withinSecondPackingHours = withinPackingHours) => ({
+      date,
+      withinPackingHours,
+      withinSecondPackingHours
+    });
+
+    const options = {
+      preference: JSON.stringify(["gid://shopify/Location/1", "gid://shopify/Location/2"]),
+      locations: [
+        { id: "gid://shopify/Location/1", name: "Sydney" },
+        { id: "gid://shopify/Location/2", name: "Melbourne" },
+        { id: "gid://shopify/Location/9", name: "24h Warehouse" }
+      ],
+      configuration: {
+        locationHours: [
+          {
+            locationId: "gid://shopify/Location/1",
+            openDays: ["MON", "TUE", "WED", "THU", "FRI"],
+            openingHour: 8,
+            cutoffHour: 15,
+            alternateLocationId: "gid://shopify/Location/9"
+          }
+        ],
+        packingWindows: [{ openingHour: 8, cutoffHour: 15 }]
+      }
+    };
+
+    it('keeps the preferred store before the cutoff', () => {
+      // 2025-06-02 is a Monday
+      expect(locationIdsOf(run({ ...options, localTime: localTimeAt("2025-06-02", true) }))).toEqual([
+        "gid://shopify/Location/1",
+        "gid://shopify/Location/2"
+      ]);
+    });
+
+    it('diverts to the alternate location after the cutoff', () => {
+      expect(locationIdsOf(run({ ...options, localTime: localTimeAt("2025-06-02", false) }))).toEqual([
+        "gid://shopify/Location/9",
+        "gid://shopify/Location/2"
+      ]);
+    });
+
+    it('diverts to the alternate location on closed days', () => {
+      // 2025-06-01 is a Sunday
+      expect(locationIdsOf(run({ ...options, localTime: localTimeAt("2025-06-01", true) }))).toEqual([
+        "gid://shopify/Location/9",
+        "gid://shopify/Location/2"
+      ]);
+    });
+
+    it('checks each location against its own packing window', () => {
+      const configuration = {
+        locationHours: [
+          options.configuration.locationHours[0],
+          {
+            locationId: "gid://shopify/Location/2",
+            openDays: ["MON", "TUE", "WED", "THU", "FRI"],
+            openingHour: 8,
+            cutoffHour: 17,
+            alternateLocationId: "gid://shopify/Location/9"
+          }
+        ],
+        packingWindows: [
+          { openingHour: 8, cutoffHour: 15 },
+          { openingHour: 8, cutoffHour: 17 }
+        ]
+      };
+
+      // 4pm on a Monday: past the 3pm cutoff but before the 5pm one
+      expect(locationIdsOf(run({ ...options, configuration, localTime: localTimeAt("2025-06-02", false, true) }))).toEqual([
+        "gid://shopify/Location/9",
+        "gid://shopify/Location/2"
+      ]);
+    });
+  });
+
+  describe('location closures', () => {
+    const options = {
+      preference: JSON.stringify(["gid://shopify/Location/1", "gid://shopify/Location/2"]),
+      locations: [
+        { id: "gid://shopify/Location/1", name: "Sydney" },
+        { id: "gid://shopify/Location/2", name: "Melbourne" },
+        { id: "gid://shopify/Location/3", name: "Parramatta" }
+      ],
+      configuration: {
+        closures: [
+          {
+            locationId: "gid://shopify/Location/1",
+            startDate: "2025-12-24",
+            endDate: "2025-12-27",
+            substituteLocationId: "gid://shopify/Location/3"
+          }
+        ]
+      }
+    };
+
+    it('sends orders to the substitute location during the closure', () => {
+      expect(locationIdsOf(run({ ...options, localTime: { date: "2025-12-24" } }))).toEqual([
+        "gid://shopify/Location/3",
+        "gid://shopify/Location/2"
+      ]);
+      expect(locationIdsOf(run({ ...options, localTime: { date: "2025-12-27" } }))).toEqual([
+        "gid://shopify/Location/3",
+        "gid://shopify/Location/2"
+      ]);
+    });
+
+    it('uses the preferred location again once the closure ends', () => {
+      expect(locationIdsOf(run({ ...options, localTime: { date: "2025-12-28" } }))).toEqual([
+        "gid://shopify/Location/1",
+        "gid://shopify/Location/2"
+      ]);
+    });
+  });
+
+  describe('location capacity', () => {
+    /**
+     * @param {Record<string, string>} capacityReachedOn
+     */
+    const runWithCapacity = (capacityReachedOn) => run({
+      preference: "gid://shopify/Location/1",
+      localTime: { date: "2025-06-02" },
+      locations: [
+        { id: "gid://shopify/Location/1", name: "Newtown" },
+        { id: "gid://shopify/Location/9", name: "Central DC" }
+      ],
+      configuration: {
+        capacityLimits: [
+          {
+            locationId: "gid://shopify/Location/1",
+            dailyOrderCap: 40,
+            fallbackLocationId: "gid://shopify/Location/9"
+          }
+        ],
+        capacityReachedOn
+      }
+    });
+
+    it('switches to the fallback location once today\'s cap is reached', () => {
+      expect(locationIdsOf(runWithCapacity({ "gid://shopify/Location/1": "2025-06-02" }))).toEqual(["gid://shopify/Location/9"]);
+    });
+
+    it('ignores a cap reached on an earlier day', () => {
+      expect(locationIdsOf(runWithCapacity({ "gid://shopify/Location/1": "2025-06-01" }))).toEqual(["gid://shopify/Location/1"]);
+      expect(locationIdsOf(runWithCapacity({}))).toEqual(["gid://shopify/Location/1"]);
+    });
+  });
+
+  describe('keeping lines together', () => {
+    const lines = [
+      {
+        id: "gid://shopify/DeliverableCartLine/1"
       },
-      fulfillmentConstraintRule: {
-        metafield: null
+      {
+        id: "gid://shopify/DeliverableCartLine/2"
+      }
+    ];
+
+    const locations = [
+      { id: "gid://shopify/Location/1", name: "Sydney" },
+      { id: "gid://shopify/Location/2", name: "Melbourne" }
+    ];
+
+    /**
+     * @param {string} keepTogether
+     * @param {string | null} preference
+     */
+    const runKeepingTogether = (keepTogether, preference) => run({ lines, preference, locations, configuration: { keepTogether } });
+
+    const sameLocation = {
+      deliverableLinesMustFulfillFromSameLocationAdd: {
+        deliverableLineIds: ["gid://shopify/DeliverableCartLine/1", "gid://shopify/DeliverableCartLine/2"]
       }
+    };
+
+    it('keeps lines together for buyers with no preference', () => {
+      expect(runKeepingTogether("WITHOUT_PREFERENCE", null)).toEqual({ operations: [sameLocation] });
+    });
+
+    it('keeps lines together when the preferred location is not found', () => {
+      expect(runKeepingTogether("WITHOUT_PREFERENCE", "gid://shopify/Location/999")).toEqual({ operations: [sameLocation] });
+    });
+
+    it('only keeps preferred lines together when set to always', () => {
+      const preference = JSON.stringify(["gid://shopify/Location/1", "gid://shopify/Location/2"]);
+      const preferredLines = {
+        deliverableLinesMustFulfillFromAdd: {
+          locationIds: ["gid://shopify/Location/1", "gid://shopify/Location/2"],
+          deliverableLineIds: ["gid://shopify/DeliverableCartLine/1", "gid://shopify/DeliverableCartLine/2"]
+        }
+      };
+
+      expect(runKeepingTogether("WITHOUT_PREFERENCE", preference)).toEqual({ operations: [preferredLines] });
+      expect(runKeepingTogether("ALWAYS", preference)).toEqual({ operations: [preferredLines, sameLocation] });
+    });
+
+    it('leaves lines free to split by default', () => {
+      expect(runKeepingTogether("NEVER", null)).toEqual({ operations: [] });
     });
-    const expected = /** @type {CartFulfillmentConstraintsGenerateRunResult} */ ({ operations: [] });
+  });
+
+  it('keeps the input query within the function cost limit of 30', () => {
+    const query = readFileSync(new URL('./cart_fulfillment_constraints_generate_run.graphql', import.meta.url), 'utf8');
 
-    expect(result).toEqual(expected);
+    expect(inputQueryCost(query)).toBeLessThanOrEqual(30);
   });
 });
\ No newline at end of file
@@ -6,13 +6,28 @@ import {
   BlockStack,
   Button,
   Text,
-  Select,
   Banner,
 } from '@shopify/ui-extensions-react/admin';
+import {
+  getLocationListLabel,
+  parseLocationList,
+  parseLocationPreference,
+} from '../../../app/utils/locationList';
+import {APP_METAFIELD_NAMESPACE} from '../../../app/utils/metafieldNamespaces';
+import LocationListEditor from '../../shared/LocationListEditor';
 
 // The target used here must match the target used in the extension's toml file (./shopify.extension.toml)
 const TARGET = 'admin.draft-order-details.action.render';
 
+// Optional per delivery method preferences, kept together in the
+// `fulfillment_location_methods` JSON metafield; when a list is empty the
+// general `fulfillment_location` list applies to that method
+const DELIVERY_METHODS = [
+  {method: 'SHIPPING', label: 'Shipping'},
+  {method: 'LOCAL', label: 'Local delivery'},
+  {method: 'PICK_UP', label: 'Pickup'},
+];
+
 export default reactExtension(TARGET, () => <App />);
 
 function App() {
@@ -25,7 +40,8 @@ function App() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(true);
   const [locationOptions, setLocationOptions] = useState([]);
-  const [selectedLocation, setSelectedLocation] = useState('');
+  const [selectedLocations, setSelectedLocations] = useState([]);
+  const [methodLocations, setMethodLocations] = useState({});
   const [saving, setSaving] = useState(false);
   
   // Use direct API calls to fetch data from Shopify.
@@ -44,14 +60,20 @@ function App() {
                 id
                 email
                 displayName
-                metafield(namespace: "custom", key: "fulfillment_location") {
+                metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
                   id
                   value
+                  type
+                }
+                methodPreferences: metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location_methods") {
+                  id
+                  jsonValue
                 }
               }
-              metafield(namespace: "custom", key: "fulfillment_location") {
+              metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location") {
                 id
                 value
+                type
               }
             }
           }
@@ -60,14 +82,8 @@ function App() {
         const getAppMetafieldQuery = `
           query AppMetafield {
             currentAppInstallation {
-              metafields(first: 10) {
-                edges {
-                  node {
-                    namespace
-                    key
-                    value
-                  }
-                }
+              metafield(namespace: "${APP_METAFIELD_NAMESPACE}", key: "fulfillment_location_list") {
+                value
               }
             }
           }
@@ -166,52 +182,20 @@ function App() {
         setCustomer(draftOrderData.customer);
 
         // Get available locations from the app metafield
-        const appMetafieldEdges = appMetafieldResult.data?.currentAppInstallation?.metafields?.edges || [];
-        const fulfillmentLocationMetafield = appMetafieldEdges.find(edge => 
-          edge.node.namespace === "custom" && edge.node.key === "fulfillment_location_list"
-        );
-        const appMetafieldValue = fulfillmentLocationMetafield?.node.value || null;
+        const appMetafieldValue = appMetafieldResult.data?.currentAppInstallation?.metafield?.value || null;
         
         console.log('App metafield value:', appMetafieldValue);
         
-        let locations = [];
+        // Create location options, storing the location ID and showing the name.
+        // Lists saved before location IDs were stored read as empty.
+        const locationList = parseLocationList(appMetafieldValue);
+        console.log('Location list from app metafield:', locationList);
         
-        // Get locations from app metafield
-        if (appMetafieldValue) {
-          try {
-            let locationNames = [];
-            
-            if (appMetafieldValue.startsWith('[') || appMetafieldValue.startsWith('{')) {
-              // Parse as JSON
-              const parsed = JSON.parse(appMetafieldValue);
-              if (Array.isArray(parsed)) {
-                locationNames = parsed;
-              } else if (parsed.locations && Array.isArray(parsed.locations)) {
-                locationNames = parsed.locations;
-              }
-            } else if (appMetafieldValue.includes(',')) {
-              // Parse as comma-separated
-              locationNames = appMetafieldValue.split(',').map(name => name.trim()).filter(name => name !== '');
-            } else {
-              // Single location
-              locationNames = [appMetafieldValue.trim()];
-            }
-            
-            console.log('Location names from app metafield:', locationNames);
-            
-            // Create location options from the names
-            locations = locationNames.map(name => ({
-              label: name,
-              value: name
-            }));
-            
-            console.log('Processed location options:', locations);
-            
-          } catch (parseError) {
-            console.error('Error parsing app metafield:', parseError);
-            locations = [];
-          }
-        }
+        const locations = locationList.locations.map(entry => ({
+          label: getLocationListLabel(entry),
+          value: entry.id
+        }));
+        const locationNamesById = new Map(locationList.locations.map(entry => [entry.id, entry.name]));
         
         console.log('Final location options:', locations);
         
@@ -233,14 +217,31 @@ function App() {
         
         setLocationOptions(finalLocationOptions);
         
-        // Set current customer's fulfillment location as selected if it exists
-        const currentCustomerLocation = draftOrderData.customer?.metafield?.value;
-        console.log('Current customer location:', currentCustomerLocation);
+        // Pre-fill the customer's current fulfillment locations if they exist.
+        // Older preferences hold the location name, so match on the name as well.
+        const currentCustomerLocations = parseLocationPreference(draftOrderData.customer?.metafield?.value);
+        console.log('Current customer locations:', currentCustomerLocations);
+        
+        const toOptionValues = (preferences) => preferences
+          .map(current => (
+            finalLocationOptions.find(loc => loc.value === current) ||
+            finalLocationOptions.find(loc => (locationNamesById.get(loc.value) ?? loc.label) === current)
+          )?.value)
+          .filter((value, index, values) => value && values.indexOf(value) === index);
         
-        if (currentCustomerLocation && finalLocationOptions.some(loc => loc.value === currentCustomerLocation)) {
-          setSelectedLocation(currentCustomerLocation);
-          console.log('Pre-selected customer location:', currentCustomerLocation);
+        const currentValues = toOptionValues(currentCustomerLocations);
+        if (currentValues.length > 0) {
+          setSelectedLocations(currentValues);
+          console.log('Pre-selected customer locations:', currentValues);
         }
+        
+        const storedMethodPreferences = draftOrderData.customer?.methodPreferences?.jsonValue || {};
+        const currentMethodValues = Object.fromEntries(DELIVERY_METHODS.map(({method}) => [
+          method,
+          toOptionValues(Array.isArray(storedMethodPreferences[method]) ? storedMethodPreferences[method] : [])
+        ]));
+        setMethodLocations(currentMethodValues);
+        console.log('Pre-selected delivery method locations:', currentMethodValues);
       } catch (err) {
         console.error('Error fetching draft order:', err);
         setError('Failed to load draft order information');
@@ -252,12 +253,13 @@ function App() {
 
   const handleSave = async () => {
     console.log('=== SAVE OPERATION STARTED ===');
-    console.log('Selected location:', selectedLocation);
+    console.log('Selected locations:', selectedLocations);
+    console.log('Delivery method locations:', methodLocations);
     console.log('Customer:', customer);
     console.log('Draft order:', draftOrder);
     
-    if (!selectedLocation || !customer) {
-      console.error('Missing required data for save:', { selectedLocation, customer });
+    if (selectedLocations.length === 0 || !customer) {
+      console.error('Missing required data for save:', { selectedLocations, customer });
       return;
     }
 
@@ -265,149 +267,34 @@ function App() {
       setSaving(true);
       console.log('Setting saving state to true');
       
-      // Update both customer and draft order metafields with selected location
-      const updateMetafieldsMutation = `
-        mutation updateMetafields($customerInput: CustomerInput!, $draftOrderId: ID!, $draftOrderInput: DraftOrderInput!) {
-          customerUpdate(input: $customerInput) {
-            customer {
-              id
-              metafield(namespace: "custom", key: "fulfillment_location") {
-                id
-                value
-              }
-            }
-            userErrors {
-              field
-              message
-            }
-          }
-          draftOrderUpdate(id: $draftOrderId, input: $draftOrderInput) {
-            draftOrder {
-              id
-              metafield(namespace: "custom", key: "fulfillment_location") {
-                id
-                value
-              }
-            }
-            userErrors {
-              field
-              message
-            }
-          }
-        }
-      `;
-
-      // Prepare customer metafield - include ID if it exists (for updates)
-      const customerMetafield = {
-        namespace: "custom",
-        key: "fulfillment_location",
-        value: selectedLocation,
-        type: "single_line_text_field"
-      };
-      
-      // If customer already has this metafield, include the ID for update
-      if (customer.metafield?.id) {
-        customerMetafield.id = customer.metafield.id;
-        console.log('Customer has existing metafield, including ID for update:', customer.metafield.id);
-      } else {
-        console.log('Customer has no existing metafield, creating new one');
-      }
-      
-      // Prepare draft order metafield - include ID if it exists (for updates)  
-      const draftOrderMetafield = {
-        namespace: "custom",
-        key: "fulfillment_location",
-        value: selectedLocation,
-        type: "single_line_text_field"
-      };
-      
-      // If draft order already has this metafield, include the ID for update
-      if (draftOrder.metafield?.id) {
-        draftOrderMetafield.id = draftOrder.metafield.id;
-        console.log('Draft order has existing metafield, including ID for update:', draftOrder.metafield.id);
-      } else {
-        console.log('Draft order has no existing metafield, creating new one');
-      }
-
-      const mutationVariables = {
-        customerInput: {
-          id: customer.id,
-          metafields: [customerMetafield]
-        },
+      // Saves go through the app so they are recorded in the preference audit log.
+      // Relative URLs are sent to the app with the staff member's session token.
+      const requestBody = {
         draftOrderId: draftOrder.id,
-        draftOrderInput: {
-          metafields: [draftOrderMetafield]
-        }
+        locationIds: selectedLocations,
+        methodLocationIds: Object.fromEntries(DELIVERY_METHODS.map(({method}) => [
+          method,
+          methodLocations[method] || []
+        ]))
       };
-
-      console.log('GraphQL mutation:', updateMetafieldsMutation);
-      console.log('Mutation variables:', JSON.stringify(mutationVariables, null, 2));
-
-      let result;
-      try {
-        console.log('Attempting query API call...');
-        result = await query(updateMetafieldsMutation, {
-          variables: mutationVariables
-        });
-        console.log('Query API call successful, result:', result);
-      } catch (queryError) {
-        console.log('Query API failed for mutation, trying fetch method:', queryError);
-        
-        console.log('Attempting fetch API call...');
-        const res = await fetch("shopify:admin/api/graphql.json", {
-          method: "POST",
-          body: JSON.stringify({
-            query: updateMetafieldsMutation,
-            variables: mutationVariables
-          }),
-        });
-
-        console.log('Fetch response status:', res.status, res.statusText);
-        
-        if (!res.ok) {
-          throw new Error(`HTTP error! status: ${res.status}`);
-        }
-
-        result = await res.json();
-        console.log('Fetch API call successful, result:', result);
-      }
-
-      // Check for errors in both customer and draft order updates
-      console.log('=== ANALYZING MUTATION RESULTS ===');
-//      console.log('Full result object:', JSON.stringify(result, null, 2));
-      
-      const customerErrors = result.data?.customerUpdate?.userErrors || [];
-      const draftOrderErrors = result.data?.draftOrderUpdate?.userErrors || [];
-      const allErrors = [...customerErrors, ...draftOrderErrors];
-
-      console.log('Customer update errors:', customerErrors);
-      console.log('Draft order update errors:', draftOrderErrors);
-      console.log('GraphQL errors:', result.errors);
-
-      // Log the actual results
-      if (result.data?.customerUpdate?.customer) {
-        console.log('Customer update successful:', result.data.customerUpdate.customer);
-        console.log('Customer metafield value:', result.data.customerUpdate.customer.metafield?.value);
-      } else {
-        console.log('Customer update failed or no customer returned');
-      }
-
-      if (result.data?.draftOrderUpdate?.draftOrder) {
-        console.log('Draft order update successful:', result.data.draftOrderUpdate.draftOrder);
-        console.log('Draft order metafield value:', result.data.draftOrderUpdate.draftOrder.metafield?.value);
-      } else {
-        console.log('Draft order update failed or no draft order returned');
-      }
-
-      if (result.errors || allErrors.length > 0) {
-        const errors = result.errors || allErrors;
-        console.error('Error updating metafields:', errors);
-        setError(`Failed to save location: ${errors.map(e => e.message).join(', ')}`);
+      console.log('Saving preferences through the app:', requestBody);
+
+      const res = await fetch('/api/preferences', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(requestBody),
+      });
+      const result = await res.json().catch(() => ({}));
+      console.log('Save response:', res.status, result);
+
+      if (!res.ok || !result.success) {
+        console.error('Error saving preferences:', result.error || res.status);
+        setError(`Failed to save location: ${result.error || `HTTP error! status: ${res.status}`}`);
         return;
       }
 
       console.log('=== SAVE OPERATION COMPLETED SUCCESSFULLY ===');
-      console.log('Selected location saved:', selectedLocation);
+      console.log('Selected locations saved:', selectedLocations);
       close();
     } catch (err) {
       console.error('=== SAVE OPERATION FAILED ===');
@@ -420,6 +307,10 @@ function App() {
     }
   };
 
+  // Show the location name for a stored ID, or the legacy value as-is
+  const getLocationLabel = (value) =>
+    locationOptions.find(loc => loc.value === value)?.label || value;
+
   if (loading) {
     return (
       <AdminAction title="Select Fulfillment Location">
@@ -436,7 +327,7 @@ function App() {
       primaryAction={
         <Button
           onPress={handleSave}
-          disabled={!selectedLocation || saving || !!error}
+          disabled={selectedLocations.length === 0 || saving || !!error}
           loading={saving}
         >
           Save
@@ -469,19 +360,29 @@ function App() {
             
             {locationOptions.length > 0 && (
               <>
-                <Text fontWeight="bold">Select Fulfillment Location:</Text>
-                <Select
-                  label="Fulfillment Location"
-                  value={selectedLocation}
-                  onChange={setSelectedLocation}
-                  options={[
-                    {label: 'Select a location...', value: ''},
-                    ...locationOptions
-                  ]}
+                <Text>Preferred fulfillment locations, most preferred first:</Text>
+                <LocationListEditor
+                  title="All delivery methods"
+                  emptyText="No locations selected yet."
+                  locations={selectedLocations}
+                  options={locationOptions}
+                  onChange={setSelectedLocations}
+                  getLocationLabel={getLocationLabel}
                 />
+                {DELIVERY_METHODS.map(({method, label}) => (
+                  <LocationListEditor
+                    key={method}
+                    title={label}
+                    emptyText="Uses the list for all delivery methods."
+                    locations={methodLocations[method] || []}
+                    options={locationOptions}
+                    onChange={(locations) => setMethodLocations({...methodLocations, [method]: locations})}
+                    getLocationLabel={getLocationLabel}
+                  />
+                ))}
                 {customer?.metafield?.value && (
                   <Text tone="subdued">
-                    Current customer location: {customer.metafield.value}
+                    Current customer locations: {parseLocationPreference(customer.metafield.value).map(getLocationLabel).join(' → ')}
                   </Text>
                 )}
               </>
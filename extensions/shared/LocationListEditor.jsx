@@ -0,0 +1,66 @@
+import {
+  BlockStack,
+  Button,
+  Text,
+  Select,
+  InlineStack,
+} from '@shopify/ui-extensions-react/admin';
+import {
+  addPreferredLocation,
+  movePreferredLocation,
+  removePreferredLocation,
+} from '../../app/utils/locationList';
+
+// Ordered list of locations with controls to add, reorder and remove entries,
+// shared by the admin extensions that edit preferences
+export default function LocationListEditor({title, emptyText, addLabel, locations, options, onChange, getLocationLabel}) {
+  const addLocation = (value) => onChange(addPreferredLocation(locations, value));
+  const removeLocation = (index) => onChange(removePreferredLocation(locations, index));
+  const moveLocation = (index, direction) => onChange(movePreferredLocation(locations, index, direction));
+
+  return (
+    <BlockStack gap>
+      <Text fontWeight="bold">{title}</Text>
+      {locations.length === 0 && (
+        <Text tone="subdued">{emptyText}</Text>
+      )}
+      {locations.map((value, index) => (
+        <InlineStack key={value} gap inlineAlignment="space-between" blockAlignment="center">
+          <Text>{index + 1}. {getLocationLabel(value)}</Text>
+          <InlineStack gap>
+            <Button
+              variant="tertiary"
+              disabled={index === 0}
+              onPress={() => moveLocation(index, -1)}
+            >
+              Up
+            </Button>
+            <Button
+              variant="tertiary"
+              disabled={index === locations.length - 1}
+              onPress={() => moveLocation(index, 1)}
+            >
+              Down
+            </Button>
+            <Button
+              variant="tertiary"
+              tone="critical"
+              onPress={() => removeLocation(index)}
+            >
+              Remove
+            </Button>
+          </InlineStack>
+        </InlineStack>
+      ))}
+      <Select
+        label={addLabel || `Add location to ${title.toLowerCase()}`}
+        value=""
+        onChange={addLocation}
+        options={[
+          {label: 'Select a location...', value: ''},
+          ...options.filter(loc => !locations.includes(loc.value))
+        ]}
+      />
+    </BlockStack>
+  );
+}
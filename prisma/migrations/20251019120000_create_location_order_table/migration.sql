@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "LocationOrder" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "LocationOrder_shop_locationId_date_idx" ON "LocationOrder"("shop", "locationId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LocationOrder_shop_orderId_locationId_key" ON "LocationOrder"("shop", "orderId", "locationId");
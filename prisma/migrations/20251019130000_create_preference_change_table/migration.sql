@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "PreferenceChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerName" TEXT,
+    "key" TEXT NOT NULL,
+    "oldValue" TEXT,
+    "newValue" TEXT,
+    "source" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "PreferenceChange_shop_createdAt_idx" ON "PreferenceChange"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PreferenceChange_shop_customerId_idx" ON "PreferenceChange"("shop", "customerId");
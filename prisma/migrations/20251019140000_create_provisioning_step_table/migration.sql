@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "ProvisioningStep" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "step" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProvisioningStep_shop_step_key" ON "ProvisioningStep"("shop", "step");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "LocationFlag" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "bulkOperationId" TEXT,
+    "flaggedCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "LocationFlag_shop_status_idx" ON "LocationFlag"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "LocationFlag_shop_bulkOperationId_idx" ON "LocationFlag"("shop", "bulkOperationId");
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "PreferenceRemap" (
+    "bulkOperationId" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "changes" TEXT NOT NULL,
+    "recordedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
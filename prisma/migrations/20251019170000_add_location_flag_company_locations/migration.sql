@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "LocationFlag" ADD COLUMN "companyLocations" TEXT;